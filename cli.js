@@ -4,10 +4,11 @@ const {
   extractText, 
   extractLinks, 
   makeLinksClickable, 
-  batchExtract, 
+  createBatchExtract,
   saveLinksToJson, 
   loadLinksFromJson, 
   extractStructuredData,
+  extractFields,
   // WebdriverIO-style OCR functions
   ocrGetText,
   ocrGetElementPositionByText,
@@ -20,7 +21,8 @@ const {
   findTextPosition,
   waitForText,
   // Oxford Test specific functions
-  extractOxfordTestStructuredData
+  extractOxfordTestStructuredData,
+  cleanup
 } = require('./src/smartOcr');
 
 const fs = require('fs-extra');
@@ -39,41 +41,72 @@ Usage: node cli.js <command> [options]
 Commands:
   extract <file>                    Extract text from a file
   links <file>                      Extract links from a file
-  batch <folder>                    Batch extract from all files in a folder
+  batch <folder|glob|file...>       Batch extract from folders (recursively), glob patterns and files (Ctrl+C cancels)
   save-links <file>                 Save extracted links to JSON
   load-links <json-file>            Load links from JSON file
   compare <file1> <file2>           Compare structured data between files
+  fields <file> <schema.json>       Extract typed fields described by a schema
   
   // WebdriverIO-style OCR commands
   get-text <image> [options]        Extract all text from image
   find-text <image> <searchText>    Find position of text in image
-  wait-for-text <image> <text>      Wait for text to appear in image
+  wait-for-text <image> <text>      Wait for text to appear in image (or disappear with --reverse)
   click-on-text <image> <text>      Get click coordinates for text
   set-value <image> <field> <value> Get field position for setting value
-  batch <operations.json>           Run multiple OCR operations
+  batch-ocr <operations.json>       Run multiple OCR operations
 
 Examples:
   node cli.js extract document.pdf
+  node cli.js extract screenshot.png --language eng+deu --psm 3
+  node cli.js extract report.pdf --pages 1-3,7
+  node cli.js extract scan.png --reading-order none
+  node cli.js get-text screenshot.png --region 0,0,1280,120 --ignore-regions 1180,10,90,40
+  node cli.js extract dark-mode.png --preprocess auto --preprocess-debug-dir ./ocr-debug
+  node cli.js extract prices.xlsx --tables true
   node cli.js links webpage.html
   node cli.js batch ./documents
+  node cli.js batch "./scans/**/*.{png,tif}" --exclude "drafts/**"
   node cli.js save-links document.pdf
   node cli.js load-links links.json
+  node cli.js fields invoice.pdf invoice-schema.json
   
   // WebdriverIO-style examples
   node cli.js get-text screenshot.png
+  node cli.js find-text screenshot.png "Login" --cache true
   node cli.js find-text screenshot.png "Login"
   node cli.js wait-for-text screenshot.png "Welcome"
+  node cli.js wait-for-text screenshot.png "Loading" --reverse true --timeout 30000
   node cli.js click-on-text screenshot.png "Submit"
   node cli.js set-value screenshot.png "Username" "john"
-  node cli.js batch operations.json
+  node cli.js batch-ocr operations.json
 
 Options:
   --output-dir <dir>                Output directory for results
   --save-links                     Save links to JSON file
   --confidence <number>            OCR confidence threshold (0-100)
-  --language <lang>                OCR language (default: eng)
-  --timeout <ms>                   Timeout for wait operations (default: 5000)
+  --language <lang>                OCR language, e.g. eng or eng+deu (default: eng)
+  --psm <number>                   Tesseract page segmentation mode (default: 6)
+  --whitelist <chars>              Only recognise these characters
+  --blacklist <chars>              Never recognise these characters
+  --dpi <number>                   Source image resolution hint
+  --pages <range>                  Only extract these pages, e.g. 1-3,7
+  --reading-order <mode>           auto (default), layout, heuristic or none
+  --region <x,y,w,h>               Only OCR this part of an image
+  --ignore-regions <x,y,w,h;...>   Mask these parts of an image out before OCR
+  --preprocess <steps>             auto, or steps like grayscale,invert,upscale:3,denoise,threshold,deskew
+  --preprocess-debug-dir <dir>     Save the image after each preprocessing step
+  --timeout <ms>                   Timeout for wait operations (default: 10000)
+  --interval <ms>                  Time between wait attempts (default: 1000)
+  --reverse true                   Wait for the text to disappear instead
+  --tables true                    Also return spreadsheet / CSV / DOCX tables as structured tables
+  --structure true                 Return a DOCX file's outline, tables, hyperlinks, headers and footers
+  --base-url <url>                 Resolve relative links in HTML files against this URL
+  --include <globs>                Batch: only files matching these patterns, separated by ';'
+  --exclude <globs>                Batch: skip files and folders matching these patterns, separated by ';'
+  --recursive false                Batch: don't look in subfolders
   --threshold <number>             Fuzzy match threshold (0-1, default: 0.8)
+  --cache true                     Cache OCR results in ./shared-objects/ocr-cache (or set SMART_OCR_CACHE=true)
+  --no-cache                       Always run OCR, ignoring (and not storing) cached results
 `);
 }
 
@@ -95,8 +128,9 @@ async function main() {
           return;
         }
         const filePath = args[1];
+        const extractOptions = parseOptions(args.slice(2));
         console.log(`🔍 Extracting text from: ${filePath}`);
-        const result = await extractText(filePath);
+        const result = await extractText(filePath, extractOptions);
         
         // Save extracted content to ocrExtractedContent folder
         const now = new Date();
@@ -108,34 +142,79 @@ async function main() {
         content += `Extracted at: ${now.toISOString()}\n`;
         content += `══════════════════════════════════════════════════\n\n`;
         
-        if (result.structuredData) {
+        if (result.structuredData && result.structuredData.template !== 'oxford-test') {
+          content += `STRUCTURED DATA EXTRACTED (${result.structuredData.template}):\n`;
+          content += `─────────────────────────\n\n`;
+          content += `${JSON.stringify(result.structuredData, null, 2)}\n\n`;
+          content += `══════════════════════════════════════════════════\n\n`;
+        } else if (result.structuredData) {
           content += `STRUCTURED DATA EXTRACTED:\n`;
           content += `─────────────────────────\n\n`;
+          const { testTaker, testResults, overallResults } = result.structuredData;
           content += `TEST TAKER INFORMATION:\n`;
-          content += `Name: ${result.structuredData.testTaker?.name || 'NOT FOUND'}\n`;
-          content += `Date of Birth: ${result.structuredData.testTaker?.dateOfBirth || 'NOT FOUND'}\n`;
-          content += `Test Taker Number: ${result.structuredData.testTaker?.number || 'NOT FOUND'}\n`;
-          content += `Certificate Reference: ${result.structuredData.testTaker?.certificateRef || 'NOT FOUND'}\n\n`;
+          content += `Name: ${formatField(testTaker.name)}\n`;
+          content += `Date of Birth: ${formatField(testTaker.dateOfBirth)}\n`;
+          content += `Test Taker Number: ${formatField(testTaker.number)}\n`;
+          content += `Certificate Reference: ${formatField(testTaker.certificateRef)}\n\n`;
           content += `TEST RESULTS:\n`;
-          content += `Speaking: ${result.structuredData.testResults?.speaking?.score || 'null'} (03 June 2025)\n`;
-          content += `Listening: ${result.structuredData.testResults?.listening?.score || 'null'} (03 June 2025)\n`;
-          content += `Reading: ${result.structuredData.testResults?.reading?.score || 'null'} (03 June 2025)\n`;
-          content += `Writing: ${result.structuredData.testResults?.writing?.score || 'null'} (03 June 2025)\n\n`;
-          content += `OVERALL RESULTS:\n`;
-          content += `Overall Score: ${result.structuredData.overallResults?.score || 'NOT FOUND'}\n`;
-          content += `Overall CEFR Level: ${result.structuredData.overallResults?.cefrLevel || 'NOT FOUND'}\n\n`;
+          ['speaking', 'listening', 'reading', 'writing'].forEach(module => {
+            const moduleResult = testResults[module];
+            const label = module.charAt(0).toUpperCase() + module.slice(1);
+            const date = moduleResult.date.value ? ` (${moduleResult.date.value})` : '';
+            content += `${label}: ${formatField(moduleResult.score)} ${formatField(moduleResult.cefrLevel)}${date}\n`;
+          });
+          content += `\nOVERALL RESULTS:\n`;
+          content += `Overall Score: ${formatField(overallResults.score)}\n`;
+          content += `Overall CEFR Level: ${formatField(overallResults.cefrLevel)}\n\n`;
+          content += `══════════════════════════════════════════════════\n\n`;
+        }
+        
+        if (result.structure) {
+          content += `DOCUMENT STRUCTURE:\n`;
+          content += `───────────────────\n\n`;
+          content += `${JSON.stringify(result.structure, null, 2)}\n\n`;
+          content += `══════════════════════════════════════════════════\n\n`;
+        }
+        
+        if (result.tables) {
+          content += `TABLES:\n`;
+          content += `───────\n\n`;
+          result.tables.forEach(table => {
+            content += `${table.name} (${table.range || 'empty'}):\n`;
+            content += `${JSON.stringify(table.rows, null, 2)}\n\n`;
+          });
           content += `══════════════════════════════════════════════════\n\n`;
         }
         
         content += `COMPLETE TEXT CONTENT FROM PDF:\n`;
         content += `─────────────────────────────────\n\n`;
-        content += result.text;
+        if (result.pages.length > 1) {
+          result.pages.forEach(page => {
+            content += `PAGE ${page.pageNumber}${page.ocr ? ' (OCR)' : ''}${page.attachment ? ` (attachment: ${page.attachment})` : ''}${page.entry ? ` (${page.entry}, page ${page.entryPageNumber})` : ''}:\n`;
+            content += `─────────\n\n`;
+            content += `${page.text}\n\n`;
+          });
+        } else {
+          content += result.text;
+        }
         
         await fs.writeFile(outputFile, content, 'utf-8');
         console.log(`✅ Text extracted and saved to: ${outputFile}`);
         console.log(`📄 Text length: ${result.text.length} characters`);
+        console.log(`📑 Pages: ${result.pages.length} of ${result.totalPages}`);
         if (result.structuredData) {
-          console.log(`🔍 Structured data extracted successfully`);
+          console.log(`🔍 Structured data extracted successfully (template: ${result.structuredData.template})`);
+        }
+        if (result.tables) {
+          console.log(`📊 Tables: ${result.tables.map(table => `${table.name} (${table.rows.length} rows)`).join(', ')}`);
+        }
+        if (result.entries) {
+          const failedEntries = result.entries.filter(entry => entry.error);
+          console.log(`🗜️  Archive entries: ${result.entries.length - failedEntries.length} extracted, ${failedEntries.length} failed`);
+          failedEntries.forEach(entry => console.log(`   ❌ ${entry.path}: ${entry.error}`));
+        }
+        if (result.attachments) {
+          console.log(`📎 Attachments: ${result.attachments.map(attachment => attachment.error ? `${attachment.fileName} (failed: ${attachment.error})` : attachment.fileName).join(', ')}`);
         }
         break;
 
@@ -156,13 +235,38 @@ async function main() {
 
       case 'batch':
         if (args.length < 2) {
-          console.error('❌ Error: Please provide a folder path');
+          console.error('❌ Error: Please provide a folder, file or glob pattern');
           return;
         }
-        const folderPath = args[1];
-        console.log(`🔍 Batch extracting from folder: ${folderPath}`);
-        const batchResults = await batchExtract(folderPath);
-        console.log(`✅ Processed ${batchResults.length} files`);
+        // Everything up to the first option is an input - the shell may already have expanded a glob
+        const firstOption = args.findIndex((arg, index) => index > 0 && arg.startsWith('--'));
+        const batchInputs = args.slice(1, firstOption === -1 ? undefined : firstOption);
+        const batchExtractOptions = parseOptions(firstOption === -1 ? [] : args.slice(firstOption));
+        console.log(`🔍 Batch extracting from: ${batchInputs.join(', ')}`);
+
+        // Ctrl+C cancels the files still to do instead of killing the process mid-recognition
+        const batchController = new AbortController();
+        const cancelBatch = () => {
+          console.log('\n⏹️  Cancelling batch...');
+          batchController.abort();
+        };
+        process.once('SIGINT', cancelBatch);
+
+        const batch = createBatchExtract(batchInputs, { ...batchExtractOptions, signal: batchController.signal });
+        batch.on('result', ({ input, result }) => {
+          if (!result.error) console.log(`   📄 ${input} (${result.text.length} characters)`);
+        });
+        const batchResults = await batch.done;
+        process.removeListener('SIGINT', cancelBatch);
+
+        const { summary } = batchResults;
+        console.log(`✅ Processed ${summary.total} files: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.skipped} skipped, ${summary.cancelled} cancelled`);
+        batchResults.filter(result => result.error && !result.cancelled).forEach(result => {
+          console.log(`   ❌ ${result.filePath}: ${result.error}`);
+        });
+        summary.skippedFiles.forEach(skipped => {
+          console.log(`   ⏭️  ${skipped.filePath}: ${skipped.reason}`);
+        });
         break;
 
       case 'save-links':
@@ -189,6 +293,27 @@ async function main() {
         console.log(`✅ Loaded ${loadedLinks.length} links`);
         break;
 
+      case 'fields':
+        if (args.length < 3) {
+          console.error('❌ Error: Please provide a file path and a schema file');
+          return;
+        }
+        const fieldsFilePath = args[1];
+        const schemaPath = args[2];
+        const fieldsOptions = parseOptions(args.slice(3));
+        console.log(`🔍 Extracting fields from: ${fieldsFilePath}`);
+        const fieldsResult = await extractFields(fieldsFilePath, schemaPath, fieldsOptions);
+        Object.entries(fieldsResult.values).forEach(([fieldName, fieldValue]) => {
+          console.log(`   ${fieldName}: ${fieldValue === null ? 'NOT FOUND' : fieldValue}`);
+        });
+        if (fieldsResult.valid) {
+          console.log(`✅ All fields valid`);
+        } else {
+          fieldsResult.errors.forEach(fieldError => console.error(`❌ ${fieldError.field}: ${fieldError.message}`));
+          process.exitCode = 1;
+        }
+        break;
+
       // WebdriverIO-style OCR commands
       case 'get-text':
         if (args.length < 2) {
@@ -255,7 +380,7 @@ async function main() {
         console.log(`✅ Field position:`, setValueResult);
         break;
 
-      case 'batch':
+      case 'batch-ocr':
         if (args.length < 2) {
           console.error('❌ Error: Please provide a JSON file with operations');
           return;
@@ -279,22 +404,48 @@ async function main() {
       console.error(error.stack);
     }
     process.exit(1);
+  } finally {
+    // Terminate the OCR workers so the process can exit once the command is done
+    await cleanup();
   }
 }
 
+// Format an extracted { value, confidence, status } field for the report
+function formatField(field) {
+  if (!field || field.status === 'not_found') return 'NOT FOUND';
+  const derived = field.status === 'derived' ? ', derived' : '';
+  return `${field.value} [${Math.round(field.confidence * 100)}%${derived}]`;
+}
+
 function parseOptions(args) {
   const options = {};
   
   for (let i = 0; i < args.length; i += 2) {
+    // Flags without a value
+    if (args[i] === '--no-cache') {
+      options.cache = false;
+      i -= 1;
+      continue;
+    }
+
     if (args[i].startsWith('--') && i + 1 < args.length) {
-      const key = args[i].slice(2);
+      // --reading-order -> readingOrder
+      const key = args[i].slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
       const value = args[i + 1];
       
       // Parse numeric values
-      if (key === 'confidence' || key === 'timeout') {
+      if (key === 'confidence' || key === 'timeout' || key === 'interval' || key === 'maxAttempts' || key === 'psm' || key === 'dpi') {
         options[key] = parseInt(value);
       } else if (key === 'threshold') {
         options[key] = parseFloat(value);
+      } else if (key === 'region') {
+        options[key] = parseRegion(value);
+      } else if (key === 'ignoreRegions') {
+        options[key] = value.split(';').map(parseRegion);
+      } else if (key === 'include' || key === 'exclude') {
+        options[key] = value.split(';').map(pattern => pattern.trim()).filter(pattern => pattern.length > 0);
+      } else if (value === 'true' || value === 'false') {
+        options[key] = value === 'true';
       } else {
         options[key] = value;
       }
@@ -304,6 +455,12 @@ function parseOptions(args) {
   return options;
 }
 
+// Parse 'x,y,width,height' into a region object
+function parseRegion(value) {
+  const [x, y, width, height] = value.split(',').map(part => parseFloat(part));
+  return { x, y, width, height };
+}
+
 // Run the CLI
 if (require.main === module) {
   main().catch(console.error);
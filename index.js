@@ -1,15 +1,44 @@
-const { 
+const {
   extractText,
+  extractFields,
   extractLinks,
   makeLinksClickable,
+  isSupported,
   batchExtract,
-  saveLinksToJson
+  createBatchExtract,
+  ocrBatchOperations,
+  createOcrBatch,
+  saveLinksToJson,
+  configureWorkerPool,
+  configureCache,
+  clearCache,
+  cleanup,
+  registerTemplate,
+  unregisterTemplate,
+  getTemplates
 } = require('./src/smartOcr');
+const { createOcrSession } = require('./src/session');
+const { registerOcrCommands, SmartOcrService } = require('./src/webdriverio');
 
 module.exports = {
   extractText,
+  extractFields,
   extractLinks,
   makeLinksClickable,
+  isSupported,
   batchExtract,
-  saveLinksToJson
+  createBatchExtract,
+  ocrBatchOperations,
+  createOcrBatch,
+  saveLinksToJson,
+  configureWorkerPool,
+  configureCache,
+  clearCache,
+  cleanup,
+  registerTemplate,
+  unregisterTemplate,
+  getTemplates,
+  createOcrSession,
+  registerOcrCommands,
+  SmartOcrService
 };
@@ -0,0 +1,89 @@
+// Text from data feeds. XML becomes one line per element with text of its own, in document order
+// (whitespace-only text between elements is formatting), with href / xlink:href / url attributes
+// returned as links.
+// JSON is flattened into 'path: value' lines, e.g. 'items[0].title: Report'.
+
+const { DOMParser } = require('@xmldom/xmldom');
+
+const LINK_ATTRIBUTES = ['href', 'xlink:href', 'url', 'src'];
+
+function xmlToText(xml) {
+  const document = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: () => {},
+      fatalError: (message) => {
+        throw new Error(`Invalid XML: ${message}`);
+      }
+    }
+  }).parseFromString(xml, 'text/xml');
+
+  const lines = [];
+  const links = [];
+  let line = [];
+
+  const flush = () => {
+    const text = line.join('').replace(/\s+/g, ' ').trim();
+    if (text) lines.push(text);
+    line = [];
+  };
+
+  const isText = (node) => node.nodeType === 3 || node.nodeType === 4;
+
+  // Children are read in document order. In mixed content (<p>See <b>bold</b> here</p>) child
+  // elements run on with the text around them; elsewhere each child element is a line of its own.
+  const walk = (element) => {
+    LINK_ATTRIBUTES.forEach(attribute => {
+      const url = element.getAttribute(attribute);
+      if (url && /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+        links.push({ url, text: (element.textContent || '').replace(/\s+/g, ' ').trim(), source: 'hyperlink' });
+      }
+    });
+
+    const children = Array.from(element.childNodes);
+    const mixed = children.some(child => isText(child) && child.nodeValue.trim().length > 0);
+
+    children.forEach(child => {
+      if (isText(child)) {
+        line.push(child.nodeValue);
+      } else if (child.nodeType === 1) {
+        if (!mixed) flush();
+        walk(child);
+        if (!mixed) flush();
+      }
+    });
+  };
+
+  if (document.documentElement) walk(document.documentElement);
+  flush();
+  return { text: lines.join('\n'), links };
+}
+
+function jsonToText(json) {
+  const lines = [];
+
+  const walk = (value, keyPath) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${keyPath}[${index}]`));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => walk(item, keyPath ? `${keyPath}.${key}` : key));
+    } else if (value !== null && value !== undefined && value !== '') {
+      lines.push(keyPath ? `${keyPath}: ${value}` : String(value));
+    }
+  };
+
+  let data;
+  try {
+    data = JSON.parse(json.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  walk(data, '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  xmlToText,
+  jsonToText
+};
@@ -0,0 +1,222 @@
+// Structured DOCX extraction (options.structure). Mammoth converts the document body to HTML, which
+// keeps headings, lists, tables, hyperlinks, footnotes and comments; headers and footers are not
+// part of mammoth's output, so those are read straight from the package.
+//
+// Returns { text, structure, links } where structure is
+//
+//   {
+//     outline,      [{ level, text }] for every heading
+//     tables,       [{ rows: [['Name', 'Score'], ...] }]
+//     hyperlinks,   [{ url, text, part }] - part is 'body', 'header' or 'footer'
+//     headers,      Text of each distinct page header
+//     footers,      Text of each distinct page footer
+//     footnotes,    [{ id, text }] (endnotes are included, with ids like 'endnote-1')
+//     comments      [{ id, label, text }]
+//   }
+
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { parse } = require('node-html-parser');
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+function cleanText(text) {
+  return text.replace(/[\s\u00a0]+/g, ' ').trim();
+}
+
+// Text of an inline run of HTML - comment markers ([AR1]) and footnote back-links (↑) are dropped
+function inlineText(node) {
+  const copy = parse(node.toString());
+  copy.querySelectorAll('a').forEach(anchor => {
+    const href = anchor.getAttribute('href') || '';
+    if (href.startsWith('#comment-') || /^#(footnote|endnote)-ref-/.test(href)) {
+      anchor.remove();
+    }
+  });
+  return cleanText(copy.structuredText);
+}
+
+function renderList(list, depth) {
+  const lines = [];
+  let number = 1;
+
+  list.childNodes.filter(child => child.tagName === 'LI').forEach(item => {
+    const nested = item.childNodes.filter(child => child.tagName === 'UL' || child.tagName === 'OL');
+    nested.forEach(child => child.remove());
+
+    const marker = list.tagName === 'OL' ? `${number++}.` : '-';
+    lines.push(`${'  '.repeat(depth)}${marker} ${inlineText(item)}`);
+    nested.forEach(child => lines.push(...renderList(child, depth + 1)));
+  });
+
+  return lines;
+}
+
+function tableRows(table) {
+  return table.querySelectorAll('tr')
+    .filter(row => row.closest('table') === table)
+    .map(row => row.childNodes
+      .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .map(cell => inlineText(cell)));
+}
+
+// Footnotes and endnotes are rendered by mammoth as a closing <ol> of <li id="footnote-N">
+function isNoteList(node) {
+  const items = node.childNodes.filter(child => child.tagName === 'LI');
+  return items.length > 0 && items.every(item => /^(footnote|endnote)-/.test(item.getAttribute('id') || ''));
+}
+
+function readBody(html) {
+  const root = parse(html);
+  const blocks = [];
+  const hyperlinks = root.querySelectorAll('a')
+    .map(anchor => ({ url: anchor.getAttribute('href') || '', text: cleanText(anchor.text), part: 'body' }))
+    .filter(link => link.url.length > 0 && !link.url.startsWith('#'));
+  const structure = { outline: [], tables: [], footnotes: [], comments: [] };
+
+  root.childNodes.forEach(node => {
+    const tag = (node.tagName || '').toLowerCase();
+
+    if (HEADING_TAGS.includes(tag)) {
+      const text = inlineText(node);
+      structure.outline.push({ level: parseInt(tag.slice(1)), text });
+      blocks.push(text);
+    } else if ((tag === 'ol' || tag === 'ul') && isNoteList(node)) {
+      node.childNodes.filter(child => child.tagName === 'LI').forEach(item => {
+        const id = item.getAttribute('id');
+        const text = inlineText(item);
+        structure.footnotes.push({ id, text });
+        blocks.push(`[${id.replace(/^\D+/, '')}] ${text}`);
+      });
+    } else if (tag === 'ol' || tag === 'ul') {
+      blocks.push(renderList(node, 0).join('\n'));
+    } else if (tag === 'table') {
+      const rows = tableRows(node);
+      structure.tables.push({ rows });
+      blocks.push(rows.map(cells => cells.join('\t')).join('\n'));
+    } else if (tag === 'dl') {
+      // Comments: <dt id="comment-0">Comment [AR1]</dt><dd>text</dd>
+      node.querySelectorAll('dt').forEach(term => {
+        const details = term.nextElementSibling;
+        structure.comments.push({
+          id: term.getAttribute('id'),
+          label: cleanText(term.text).replace(/^Comment\s*/, ''),
+          text: details ? inlineText(details) : ''
+        });
+      });
+    } else {
+      const text = inlineText(node);
+      if (text.length > 0) blocks.push(text);
+    }
+  });
+
+  return { text: blocks.join('\n\n'), structure, hyperlinks };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Relationship id -> external target, from a part's .rels file
+async function readRelationships(zip, partPath) {
+  const relsPath = partPath.replace(/([^/]+)$/, '_rels/$1.rels');
+  const file = zip.file(relsPath);
+  if (!file) return {};
+
+  const relationships = {};
+  ((await file.async('string')).match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    relationships[readAttribute(tag, 'Id')] = readAttribute(tag, 'Target');
+  });
+  return relationships;
+}
+
+// Paragraph text and hyperlinks of a header or footer part
+function readPartXml(xml, relationships, part) {
+  const lines = [];
+  const hyperlinks = [];
+
+  (xml.match(/<w:p(?:\s[^>]*)?>[\s\S]*?<\/w:p>/g) || []).forEach(paragraph => {
+    let line = '';
+    let link = null;
+
+    const tokens = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>|<w:hyperlink\b([^>]*)>|<\/w:hyperlink>/g;
+    let match;
+    while ((match = tokens.exec(paragraph)) !== null) {
+      if (match[1] !== undefined) {
+        const text = decodeXml(match[1]);
+        line += text;
+        if (link) link.text += text;
+      } else if (match[2]) {
+        line += match[2] === 'tab' ? '\t' : '\n';
+      } else if (match[3] !== undefined) {
+        const target = relationships[readAttribute(match[0], 'r:id')];
+        link = target ? { url: target, text: '', part } : null;
+      } else {
+        if (link) hyperlinks.push({ ...link, text: cleanText(link.text) });
+        link = null;
+      }
+    }
+
+    if (line.trim().length > 0) lines.push(line.trim());
+  });
+
+  return { text: lines.join('\n'), hyperlinks };
+}
+
+async function readHeadersAndFooters(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const result = { headers: [], footers: [], hyperlinks: [] };
+
+  const parts = Object.keys(zip.files)
+    .filter(name => /^word\/(header|footer)\d*\.xml$/.test(name))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  for (const partPath of parts) {
+    const part = partPath.includes('/header') ? 'header' : 'footer';
+    const xml = await zip.file(partPath).async('string');
+    const { text, hyperlinks } = readPartXml(xml, await readRelationships(zip, partPath), part);
+
+    const texts = part === 'header' ? result.headers : result.footers;
+    if (text.length > 0 && !texts.includes(text)) texts.push(text);
+    result.hyperlinks.push(...hyperlinks);
+  }
+
+  return result;
+}
+
+async function extractDocxStructure(buffer) {
+  const converted = await mammoth.convertToHtml({ buffer }, { styleMap: ['comment-reference => sup'] });
+  const body = readBody(converted.value);
+  const { headers, footers, hyperlinks } = await readHeadersAndFooters(buffer);
+
+  const allHyperlinks = [...body.hyperlinks, ...hyperlinks];
+  return {
+    text: body.text,
+    structure: {
+      outline: body.structure.outline,
+      tables: body.structure.tables,
+      hyperlinks: allHyperlinks,
+      headers,
+      footers,
+      footnotes: body.structure.footnotes,
+      comments: body.structure.comments
+    },
+    links: allHyperlinks.map(link => ({ url: link.url, text: link.text, source: 'hyperlink' }))
+  };
+}
+
+module.exports = {
+  extractDocxStructure
+};
@@ -0,0 +1,252 @@
+// Saved emails - MIME messages (.eml) and Outlook messages (.msg) - parsed into
+//
+//   { headers: { from, to, cc, date, subject }, text, links, attachments: [{ fileName, mimeType, content }] }
+//
+// text is a block of the main headers followed by the body: the text/plain part when there is one,
+// otherwise the HTML part converted to text. Links come from the HTML part's anchors. Attachments
+// (and attached messages) are returned as Buffers for the caller to extract.
+
+const CFB = require('cfb');
+const { htmlToText } = require('./html');
+
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const HEADER_LABELS = [['from', 'From'], ['to', 'To'], ['cc', 'Cc'], ['date', 'Date'], ['subject', 'Subject']];
+
+const decoders = {};
+
+// Decode bytes in a message's charset, falling back to UTF-8 for charsets this Node build doesn't know
+function decodeCharset(bytes, charset) {
+  const name = (charset || 'utf-8').toLowerCase();
+  if (!(name in decoders)) {
+    try {
+      decoders[name] = new TextDecoder(name);
+    } catch (error) {
+      decoders[name] = new TextDecoder('utf-8');
+    }
+  }
+  return decoders[name].decode(bytes);
+}
+
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  const source = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.substr(i + 1, 2))) {
+      bytes.push(parseInt(source.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?Q2Fmw6k=?=
+function decodeHeaderValue(value) {
+  return value
+    .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(encoded, 'base64')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+// Split a message (read a byte per character) into its unfolded headers and raw body
+function splitMessage(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  const headerText = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+
+  const headers = {};
+  headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+  });
+
+  return { headers, body };
+}
+
+// "text/plain; charset=utf-8; name*=UTF-8''r%C3%A9sum%C3%A9.pdf" -> { value, params }. RFC 2231
+// continuations (name*0*, name*1*) and charset-tagged values are joined and decoded.
+function parseHeaderParameters(header) {
+  const [value, ...parts] = (header || '').split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  const extended = {};
+
+  parts.forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator <= 0) return;
+    const key = part.slice(0, separator).trim().toLowerCase();
+    const paramValue = part.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    const continuation = key.match(/^([^*]+)\*(?:(\d+)\*?)?$/);
+    if (continuation) {
+      const name = continuation[1];
+      extended[name] = extended[name] || [];
+      extended[name][parseInt(continuation[2] || '0')] = { value: paramValue, encoded: key.endsWith('*') };
+    } else {
+      params[key] = decodeHeaderValue(paramValue);
+    }
+  });
+
+  Object.entries(extended).forEach(([name, sections]) => {
+    const first = sections[0] && sections[0].encoded ? sections[0].value.match(/^([^']*)'[^']*'(.*)$/) : null;
+    const charset = first ? first[1] : null;
+    const joined = sections.map((section, index) => {
+      const sectionValue = index === 0 && first ? first[2] : section.value;
+      return section.encoded
+        ? sectionValue.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        : sectionValue;
+    }).join('');
+    params[name] = decodeCharset(Buffer.from(joined, 'latin1'), charset);
+  });
+
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeBody(body, transferEncoding) {
+  const encoding = (transferEncoding || '').toLowerCase();
+  if (encoding === 'base64') return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(body);
+  return Buffer.from(body, 'latin1');
+}
+
+// Walk the MIME tree, collecting the text bodies and the attachments
+function walkPart(raw, collected) {
+  const { headers, body } = splitMessage(raw);
+  const contentType = parseHeaderParameters(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderParameters(headers['content-disposition']);
+  const fileName = disposition.params.filename || contentType.params.name || null;
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const boundary = contentType.params.boundary.replace(/[.*+?^$()|[\]{}\\]/g, '\\$&');
+    const sections = body.split(new RegExp(`^--${boundary}(?:--)?[ \\t]*\\r?$\\n?`, 'm'));
+    // The preamble before the first delimiter and the epilogue after the closing one are not parts
+    const closed = body.includes(`--${contentType.params.boundary}--`);
+    sections.slice(1, closed ? -1 : undefined).forEach(section => walkPart(section, collected));
+    return;
+  }
+
+  const content = decodeBody(body, headers['content-transfer-encoding']);
+  const isBody = disposition.value !== 'attachment' && !fileName &&
+    (contentType.value === 'text/plain' || contentType.value === 'text/html');
+
+  if (isBody) {
+    const text = decodeCharset(content, contentType.params.charset);
+    if (contentType.value === 'text/plain') collected.plain.push(text);
+    if (contentType.value === 'text/html') collected.html.push(text);
+    return;
+  }
+
+  const extension = contentType.value === 'message/rfc822' ? '.eml' : '';
+  collected.attachments.push({
+    fileName: fileName || `attachment-${collected.attachments.length + 1}${extension}`,
+    mimeType: contentType.value,
+    content
+  });
+}
+
+// Header block and body text shared by both message formats
+function buildEmail(headers, plain, html, attachments) {
+  const converted = html ? htmlToText(html) : null;
+  const body = plain !== null && plain.trim().length > 0 ? plain : (converted ? converted.text : '');
+
+  const headerLines = HEADER_LABELS
+    .filter(([key]) => headers[key])
+    .map(([key, label]) => `${label}: ${headers[key]}`);
+
+  return {
+    headers,
+    text: [headerLines.join('\n'), body.replace(/\r\n/g, '\n').trim()].filter(part => part.length > 0).join('\n\n'),
+    links: converted ? converted.links : [],
+    attachments
+  };
+}
+
+function parseEml(buffer) {
+  const raw = buffer.toString('latin1');
+  const { headers } = splitMessage(raw);
+  const collected = { plain: [], html: [], attachments: [] };
+  walkPart(raw, collected);
+
+  const mainHeaders = {};
+  HEADER_LABELS.forEach(([key]) => {
+    if (headers[key]) mainHeaders[key] = decodeHeaderValue(headers[key]);
+  });
+
+  return buildEmail(
+    mainHeaders,
+    collected.plain.length > 0 ? collected.plain.join('\n\n') : null,
+    collected.html.length > 0 ? collected.html.join('\n') : null,
+    collected.attachments
+  );
+}
+
+// Outlook messages store each MAPI property in its own stream, named after the property tag:
+// __substg1.0_<id><type>, type 001F for UTF-16 strings, 001E for 8-bit strings, 0102 for binary
+function readMsgProperty(streams, storage, id) {
+  const name = `${storage}__substg1.0_${id}`;
+  if (streams[`${name}001F`]) return streams[`${name}001F`].toString('utf16le').replace(/\0+$/, '');
+  if (streams[`${name}001E`]) return decodeCharset(streams[`${name}001E`], 'windows-1252').replace(/\0+$/, '');
+  return streams[`${name}0102`] || null;
+}
+
+function parseMsg(buffer) {
+  const container = CFB.read(buffer, { type: 'buffer' });
+  const streams = {};
+  container.FullPaths.forEach((fullPath, index) => {
+    const entry = container.FileIndex[index];
+    if (entry.type === 2 && entry.content) {
+      streams[fullPath.replace(/^[^/]*\//, '')] = Buffer.from(entry.content);
+    }
+  });
+
+  const text = (id) => {
+    const value = readMsgProperty(streams, '', id);
+    return Buffer.isBuffer(value) ? value.toString('utf8') : value;
+  };
+
+  // The sent date is only stored in binary form, but the transport headers have it as text
+  const transportHeaders = text('007D');
+  const headers = {
+    from: [text('0C1A'), text('0C1F') || text('5D01')].filter(Boolean).join(' ').replace(/^(.+) (\S+@\S+)$/, '$1 <$2>') || null,
+    to: text('0E04'),
+    cc: text('0E03'),
+    date: transportHeaders ? (splitMessage(transportHeaders).headers.date || null) : null,
+    subject: text('0037')
+  };
+  Object.keys(headers).forEach(key => {
+    if (!headers[key]) delete headers[key];
+  });
+
+  const attachmentStorages = [...new Set(Object.keys(streams)
+    .map(name => name.match(/^(__attach_version1\.0_#[0-9A-F]{8}\/)/i))
+    .filter(Boolean)
+    .map(match => match[1]))];
+
+  const attachments = attachmentStorages.map((storage, index) => {
+    const content = readMsgProperty(streams, storage, '3701');
+    const fileName = readMsgProperty(streams, storage, '3707') || readMsgProperty(streams, storage, '3704');
+    return {
+      fileName: typeof fileName === 'string' && fileName ? fileName : `attachment-${index + 1}`,
+      mimeType: readMsgProperty(streams, storage, '370E') || null,
+      content
+    };
+  }).filter(attachment => Buffer.isBuffer(attachment.content));
+
+  return buildEmail(headers, text('1000'), text('1013'), attachments);
+}
+
+function parseEmail(buffer) {
+  return buffer.slice(0, 8).equals(CFB_SIGNATURE) ? parseMsg(buffer) : parseEml(buffer);
+}
+
+module.exports = {
+  parseEmail
+};
@@ -0,0 +1,63 @@
+// Text from EPUB books, one page per item of the reading order (the OPF package's spine). Each
+// item is XHTML and goes through the same HTML-to-text conversion as web pages; links between the
+// book's own files are dropped, links out of the book are kept.
+
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { htmlToText } = require('./html');
+
+async function readXml(zip, name) {
+  const file = zip.file(name);
+  if (!file) return null;
+  return new DOMParser().parseFromString(await file.async('string'), 'text/xml');
+}
+
+// Elements by local name, whatever namespace prefix the package uses
+function elementsByLocalName(node, name) {
+  return Array.from(node.getElementsByTagName('*')).filter(element => element.localName === name);
+}
+
+async function extractEpubChapters(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const container = await readXml(zip, 'META-INF/container.xml');
+  const rootfile = container && elementsByLocalName(container, 'rootfile')[0];
+  if (!rootfile) {
+    throw new Error('Invalid EPUB file: no META-INF/container.xml rootfile');
+  }
+
+  const packageName = rootfile.getAttribute('full-path');
+  const opf = await readXml(zip, packageName);
+  if (!opf) {
+    throw new Error(`Invalid EPUB file: package ${packageName} not found`);
+  }
+
+  const manifest = {};
+  elementsByLocalName(opf, 'item').forEach(item => {
+    manifest[item.getAttribute('id')] = {
+      href: path.posix.join(path.posix.dirname(packageName), decodeURIComponent(item.getAttribute('href'))),
+      mediaType: item.getAttribute('media-type')
+    };
+  });
+
+  const titleElement = elementsByLocalName(opf, 'title')[0];
+  const chapters = [];
+
+  for (const itemref of elementsByLocalName(opf, 'itemref')) {
+    const item = manifest[itemref.getAttribute('idref')];
+    if (!item || !/html/.test(item.mediaType || '') || !zip.file(item.href)) continue;
+
+    const { text, links } = htmlToText(await zip.file(item.href).async('string'));
+    chapters.push({
+      name: item.href,
+      text,
+      links: links.filter(link => /^[a-z][a-z0-9+.-]*:/i.test(link.url))
+    });
+  }
+
+  return { title: titleElement ? titleElement.textContent.trim() : null, chapters };
+}
+
+module.exports = {
+  extractEpubChapters
+};
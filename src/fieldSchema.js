@@ -0,0 +1,283 @@
+// Declarative field extraction - describe the fields of a document type in JSON (or JS) and get
+// typed, validated values back.
+//
+// {
+//   "name": "invoice",
+//   "fields": {
+//     "invoiceNumber": { "anchor": "Invoice Number", "pattern": "INV-\\d+", "required": true },
+//     "issued":        { "anchor": "Date", "type": "date", "dateFormat": "DD/MM/YYYY" },
+//     "total":         { "anchor": ["Total", "Amount Due"], "type": "number", "min": 0 },
+//     "status":        { "anchor": "Status", "position": "below", "lines": 1, "type": "enum", "values": ["Paid", "Unpaid"] }
+//   }
+// }
+//
+// Field options:
+//   anchor      Label text (or list of alternatives) the value is found relative to. Matched
+//               case-insensitively as whole words, preferring lines that start with it; "/.../flags"
+//               strings are treated as regexes. Without an anchor the pattern is searched for
+//               anywhere in the document.
+//   position    'right' - on the anchor's line after the label
+//               'below' - exactly `lines` lines below the anchor (default 1)
+//               'auto'  - right of the label, else on the next `lines` lines (default 3) - the default
+//   pattern     Regex the value must match; the first capture group is used when there is one
+//   type        'string' (default), 'number', 'integer', 'date', 'enum' or 'boolean'
+//   values      Allowed values for 'enum'
+//   dateFormat  'DD/MM/YYYY' (default) or 'MM/DD/YYYY' for numeric dates
+//   required    Report a validation error when the field is missing
+//   min / max   Bounds for numbers
+
+const fs = require('fs-extra');
+const path = require('path');
+const { analyzeLine } = require('./lineAnalysis');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Load a schema from a .json or .js file, or validate an in-memory schema object
+async function loadFieldSchema(schemaOrPath) {
+  let schema = schemaOrPath;
+
+  if (typeof schemaOrPath === 'string') {
+    const schemaPath = path.resolve(schemaOrPath);
+    if (!await fs.pathExists(schemaPath)) {
+      throw new Error(`Field schema not found: ${schemaOrPath}`);
+    }
+    schema = path.extname(schemaPath) === '.json' ? await fs.readJson(schemaPath) : require(schemaPath);
+  }
+
+  if (!schema || typeof schema.fields !== 'object' || Array.isArray(schema.fields)) {
+    throw new Error('Field schema must have a "fields" object');
+  }
+
+  Object.entries(schema.fields).forEach(([fieldName, field]) => {
+    if (!field.anchor && !field.pattern) {
+      throw new Error(`Field "${fieldName}" needs an anchor or a pattern`);
+    }
+    if (field.type === 'enum' && !Array.isArray(field.values)) {
+      throw new Error(`Enum field "${fieldName}" needs a "values" list`);
+    }
+  });
+
+  return schema;
+}
+
+// Turn a schema string into a RegExp - "/.../flags" strings are regexes, anything else is literal text
+// matched as whole words, so "Total" doesn't match inside "Subtotal"
+function toRegExp(value, flags = 'i') {
+  if (value instanceof RegExp) return value;
+
+  const regexMatch = String(value).match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+
+  const literal = String(value).trim();
+  const escaped = literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+  // Labels like "Total:" end in punctuation - only a letter or digit needs a boundary next to it
+  const before = /^[\p{L}\p{N}]/u.test(literal) ? '(?<![\\p{L}\\p{N}_])' : '';
+  const after = /[\p{L}\p{N}]$/u.test(literal) ? '(?![\\p{L}\\p{N}_])' : '';
+  return new RegExp(before + escaped + after, flags.includes('u') ? flags : flags + 'u');
+}
+
+function toPatternRegExp(pattern, flags) {
+  if (pattern instanceof RegExp) return pattern;
+  return new RegExp(pattern, flags || 'i');
+}
+
+// Find the first line containing one of the anchor alternatives. Labels usually start their line,
+// so a line that starts with the anchor wins over one that only contains it - "Date" reads
+// "Date: ..." rather than an earlier "Due Date: ...".
+function findAnchor(lines, anchor) {
+  const anchors = (Array.isArray(anchor) ? anchor : [anchor]).map(alternative => toRegExp(alternative));
+
+  for (const atLineStart of [true, false]) {
+    for (let i = 0; i < lines.length; i++) {
+      for (const anchorRegExp of anchors) {
+        const match = lines[i].text.match(anchorRegExp);
+        if (match && (!atLineStart || lines[i].text.slice(0, match.index).trim() === '')) {
+          return { lineIndex: i, rest: lines[i].text.slice(match.index + match[0].length) };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Match a candidate string against the field's pattern (or take it whole)
+function matchCandidate(candidate, field) {
+  const text = candidate.replace(/^[\s:–-]+/, '').trim();
+  if (!text) return null;
+
+  if (!field.pattern) return text;
+
+  const match = text.match(toPatternRegExp(field.pattern, field.flags));
+  if (!match) return null;
+  return (match[1] !== undefined ? match[1] : match[0]).trim();
+}
+
+// Locate the raw value of one field in the analysed lines
+function locateField(lines, field) {
+  if (!field.anchor) {
+    for (let i = 0; i < lines.length; i++) {
+      const raw = matchCandidate(lines[i].text, field);
+      if (raw !== null) return { raw, lineIndex: i };
+    }
+    return null;
+  }
+
+  const anchor = findAnchor(lines, field.anchor);
+  if (!anchor) return null;
+
+  const position = field.position || 'auto';
+
+  if (position === 'right' || position === 'auto') {
+    const raw = matchCandidate(anchor.rest, field);
+    if (raw !== null) return { raw, lineIndex: anchor.lineIndex };
+    if (position === 'right') return null;
+  }
+
+  // Page numbers and copyright lines are furniture between pages, not part of the value's layout
+  const below = lines
+    .slice(anchor.lineIndex + 1)
+    .filter(line => line.lineType !== 'page_number' && line.lineType !== 'copyright');
+
+  if (position === 'below') {
+    const line = below[(field.lines || 1) - 1];
+    if (!line) return null;
+    const raw = matchCandidate(line.text, field);
+    return raw !== null ? { raw, lineIndex: line.originalIndex } : null;
+  }
+
+  for (const line of below.slice(0, field.lines || 3)) {
+    const raw = matchCandidate(line.text, field);
+    if (raw !== null) return { raw, lineIndex: line.originalIndex };
+  }
+  return null;
+}
+
+// Parse a date into ISO 'YYYY-MM-DD'
+function parseDate(raw, dateFormat = 'DD/MM/YYYY') {
+  const iso = raw.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return buildIsoDate(iso[1], iso[2], iso[3]);
+
+  const numeric = raw.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/);
+  if (numeric) {
+    const year = numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3];
+    return dateFormat.toUpperCase().startsWith('MM')
+      ? buildIsoDate(year, numeric[1], numeric[2])
+      : buildIsoDate(year, numeric[2], numeric[1]);
+  }
+
+  const dayFirst = raw.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,})\.?,?\s+(\d{4})\b/);
+  if (dayFirst) return buildIsoDate(dayFirst[3], monthNumber(dayFirst[2]), dayFirst[1]);
+
+  const monthFirst = raw.match(/\b([A-Za-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/);
+  if (monthFirst) return buildIsoDate(monthFirst[3], monthNumber(monthFirst[1]), monthFirst[2]);
+
+  return null;
+}
+
+function monthNumber(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+function buildIsoDate(year, month, day) {
+  const y = parseInt(year);
+  const m = parseInt(month);
+  const d = parseInt(day);
+  if (!m || m > 12 || !d || d > 31) return null;
+
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1) return null; // e.g. 31 February
+  return date.toISOString().slice(0, 10);
+}
+
+// Coerce a raw string to the field's type. Returns { value } or { error }
+function coerceValue(raw, field) {
+  switch (field.type || 'string') {
+    case 'string':
+      return { value: raw };
+
+    case 'number':
+    case 'integer': {
+      const numberMatch = raw.replace(/(\d)[,\s](?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?/);
+      if (!numberMatch) return { error: `"${raw}" is not a number` };
+
+      const value = field.type === 'integer' ? parseInt(numberMatch[0]) : parseFloat(numberMatch[0]);
+      if (field.min !== undefined && value < field.min) return { error: `${value} is below the minimum of ${field.min}` };
+      if (field.max !== undefined && value > field.max) return { error: `${value} is above the maximum of ${field.max}` };
+      return { value };
+    }
+
+    case 'date': {
+      const value = parseDate(raw, field.dateFormat);
+      return value ? { value } : { error: `"${raw}" is not a date` };
+    }
+
+    case 'enum': {
+      const value = field.values.find(allowed => String(allowed).toLowerCase() === raw.toLowerCase());
+      return value !== undefined ? { value } : { error: `"${raw}" is not one of ${field.values.join(', ')}` };
+    }
+
+    case 'boolean': {
+      if (/^(yes|y|true|✓|✔|x)$/i.test(raw)) return { value: true };
+      if (/^(no|n|false|✗|✘)$/i.test(raw)) return { value: false };
+      return { error: `"${raw}" is not a yes/no value` };
+    }
+
+    default:
+      return { error: `Unknown field type: ${field.type}` };
+  }
+}
+
+// Apply a field schema to extracted text
+function applyFieldSchema(text, schema) {
+  const lines = String(text || '')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map((line, index) => analyzeLine(line, index));
+
+  const values = {};
+  const fields = {};
+  const errors = [];
+
+  Object.entries(schema.fields).forEach(([fieldName, field]) => {
+    const located = locateField(lines, field);
+
+    if (!located) {
+      values[fieldName] = null;
+      fields[fieldName] = { value: null, raw: null, lineIndex: null, found: false };
+      if (field.required) {
+        errors.push({ field: fieldName, message: `Required field "${fieldName}" was not found` });
+      }
+      return;
+    }
+
+    const coerced = coerceValue(located.raw, field);
+    values[fieldName] = coerced.error ? null : coerced.value;
+    fields[fieldName] = {
+      value: values[fieldName],
+      raw: located.raw,
+      lineIndex: located.lineIndex,
+      found: true
+    };
+
+    if (coerced.error) {
+      errors.push({ field: fieldName, message: coerced.error, raw: located.raw });
+    }
+  });
+
+  return {
+    schema: schema.name || null,
+    values,
+    fields,
+    errors,
+    valid: errors.length === 0
+  };
+}
+
+module.exports = {
+  loadFieldSchema,
+  applyFieldSchema,
+  parseDate
+};
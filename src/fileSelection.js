@@ -0,0 +1,164 @@
+// Expand batch inputs - file paths, folders and glob patterns - into the files to process, in the
+// order given. Folders are walked (recursively unless options.recursive is false) in name order and
+// globs ('./scans/**/*.tif') walk the folder before their first wildcard. options.include and
+// options.exclude are glob patterns (or lists of them) for the files found this way: patterns with
+// a '/' are matched against the path below the folder, others against the file name alone, and an
+// excluded folder is not entered at all. Hidden files and folders are skipped. Files named directly,
+// Buffers and streams are passed through as they are.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const GLOB_CHARACTERS = /[*?[{]/;
+
+// Translate a glob into a RegExp: '**' spans folders, '*' and '?' stay within one, and [abc],
+// [!abc] and {a,b} work as they do in a shell
+function globToRegExp(glob) {
+  let pattern = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // '**/' also matches no folder at all
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 1) > i + 1) {
+      const end = glob.indexOf(']', i + 1);
+      pattern += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (char === '{') {
+      pattern += '(?:';
+      braceDepth++;
+    } else if (char === '}' && braceDepth > 0) {
+      pattern += ')';
+      braceDepth--;
+    } else if (char === ',' && braceDepth > 0) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// A test for paths relative to the walked folder, written with '/' separators
+function createMatcher(patterns) {
+  const matchers = (Array.isArray(patterns) ? patterns : [patterns])
+    .filter(pattern => typeof pattern === 'string' && pattern.length > 0)
+    .map(pattern => {
+      const glob = pattern.replace(/^\.\//, '');
+      const regExp = globToRegExp(glob);
+      return glob.includes('/')
+        ? (relativePath) => regExp.test(relativePath)
+        : (relativePath) => regExp.test(path.posix.basename(relativePath));
+    });
+
+  return matchers.length > 0 ? (relativePath) => matchers.some(matcher => matcher(relativePath)) : null;
+}
+
+// Split './scans/2024/**/*.tif' into the folder to walk and the pattern below it
+function splitGlob(glob) {
+  const parts = glob.split(/[\\/]/);
+  const firstWildcard = parts.findIndex(part => GLOB_CHARACTERS.test(part));
+  return {
+    root: parts.slice(0, firstWildcard).join('/') || '.',
+    pattern: parts.slice(firstWildcard).join('/')
+  };
+}
+
+async function walkDirectory(root, { recursive, maxDepth, exclude }) {
+  const files = [];
+
+  const walk = async (directory, depth) => {
+    const entries = (await fs.readdir(directory, { withFileTypes: true }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(directory, entry.name);
+      const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+
+      // Symbolic links are followed to files, but never into folders
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        const target = await fs.stat(fullPath).catch(() => null);
+        isFile = Boolean(target && target.isFile());
+      }
+
+      if (entry.isDirectory()) {
+        const excluded = exclude && (exclude(relativePath) || exclude(`${relativePath}/`));
+        if (!excluded && recursive && depth + 1 < maxDepth) await walk(fullPath, depth + 1);
+      } else if (isFile) {
+        files.push({ filePath: fullPath, relativePath });
+      }
+    }
+  };
+
+  await walk(root, 0);
+  return files;
+}
+
+// Resolve inputs (one or a list) into the inputs to process, in order and without duplicates
+async function selectFiles(inputs, options = {}) {
+  const include = createMatcher(options.include);
+  const exclude = createMatcher(options.exclude);
+  const recursive = options.recursive !== false;
+  const selected = [];
+  const seen = new Set();
+
+  const add = (input) => {
+    if (typeof input === 'string') {
+      const key = path.resolve(input);
+      if (seen.has(key)) return;
+      seen.add(key);
+    }
+    selected.push(input);
+  };
+
+  const addWalked = (files, pattern) => {
+    files
+      .filter(file => !pattern || pattern.test(file.relativePath))
+      .filter(file => !include || include(file.relativePath))
+      .filter(file => !exclude || !exclude(file.relativePath))
+      .forEach(file => add(file.filePath));
+  };
+
+  for (const input of Array.isArray(inputs) ? inputs : [inputs]) {
+    if (typeof input !== 'string') {
+      add(input);
+      continue;
+    }
+
+    const stats = await fs.stat(input).catch(() => null);
+    if (stats && stats.isDirectory()) {
+      addWalked(await walkDirectory(input, { recursive, maxDepth: Infinity, exclude }));
+    } else if (!stats && GLOB_CHARACTERS.test(input)) {
+      const { root, pattern } = splitGlob(input);
+      if (!(await fs.pathExists(root))) continue;
+      // Without '**' the pattern says how many folders deep to look
+      const maxDepth = pattern.includes('**') ? Infinity : pattern.split('/').length;
+      addWalked(await walkDirectory(root, { recursive: true, maxDepth, exclude }), globToRegExp(pattern));
+    } else {
+      add(input);
+    }
+  }
+
+  return selected;
+}
+
+module.exports = {
+  selectFiles
+};
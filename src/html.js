@@ -0,0 +1,180 @@
+// HTML to text that keeps the page's structure: block elements start new lines (paragraphs,
+// headings, lists and tables a new paragraph), list items get '-' / '1.' markers and table rows
+// become lines of tab-separated cells. Scripts, styles, <head> and hidden elements are left out.
+// Links come from the anchors themselves - their href resolved against <base> (or options.baseUrl)
+// and their visible text.
+
+const { parse } = require('node-html-parser');
+
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'iframe', 'object', 'select', 'option']);
+
+// Blocks separated from their neighbours by a blank line, and blocks that just start a new line
+const PARAGRAPH_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'figure', 'hr', 'address', 'fieldset', 'form']);
+const LINE_TAGS = new Set([
+  'div', 'section', 'article', 'header', 'footer', 'nav', 'aside', 'main', 'li', 'dl', 'dt', 'dd',
+  'figcaption', 'caption', 'details', 'summary', 'legend', 'body', 'html'
+]);
+
+function isHidden(element) {
+  if (SKIPPED_TAGS.has(element.rawTagName.toLowerCase())) return true;
+  if (element.hasAttribute('hidden')) return true;
+  if ((element.getAttribute('type') || '').toLowerCase() === 'hidden') return true;
+
+  const style = (element.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+  return style.includes('display:none') || style.includes('visibility:hidden');
+}
+
+// Collects output text, collapsing whitespace the way a browser would. Inside a table cell, line
+// breaks become spaces so the cell stays on its row.
+function createWriter(inline = false) {
+  let text = '';
+
+  return {
+    text: (value) => {
+      let chunk = value.replace(/\s+/g, ' ');
+      if (text === '' || /\s$/.test(text)) chunk = chunk.replace(/^ /, '');
+      text += chunk;
+    },
+    raw: (value) => {
+      text += value;
+    },
+    lineBreak: (count = 1) => {
+      if (inline) {
+        if (text !== '' && !/\s$/.test(text)) text += ' ';
+        return;
+      }
+      text = text.replace(/ +$/, '');
+      if (text === '') return;
+      const existing = text.match(/\n*$/)[0].length;
+      if (existing < count) text += '\n'.repeat(count - existing);
+    },
+    toString: () => text
+  };
+}
+
+function ownChildren(element, tag) {
+  return element.childNodes.filter(child => child.nodeType === 1 && child.rawTagName.toLowerCase() === tag);
+}
+
+// A table's own rows (not those of nested tables), with <thead>/<tbody>/<tfoot> looked through
+function tableRows(table) {
+  const rows = [];
+  table.childNodes.forEach(child => {
+    if (child.nodeType !== 1 || isHidden(child)) return;
+    const tag = child.rawTagName.toLowerCase();
+    if (tag === 'tr') rows.push(child);
+    if (tag === 'thead' || tag === 'tbody' || tag === 'tfoot') rows.push(...tableRows(child));
+  });
+  return rows;
+}
+
+function resolveUrl(href, base) {
+  if (!base) return href;
+  try {
+    return new URL(href, base).href;
+  } catch (error) {
+    return href;
+  }
+}
+
+function htmlToText(html, options = {}) {
+  // node-html-parser keeps the doctype (and an XHTML prolog) as text
+  const root = parse(html.replace(/<!doctype[^>]*>|<\?xml[^>]*\?>/gi, ''));
+  const links = [];
+  const tables = [];
+
+  const baseElement = root.querySelector('base[href]');
+  const baseHref = baseElement ? baseElement.getAttribute('href') : null;
+  const base = baseHref ? resolveUrl(baseHref, options.baseUrl) : options.baseUrl;
+
+  const renderInline = (node, context) => {
+    const writer = createWriter(true);
+    renderChildren(node, writer, context);
+    return writer.toString().replace(/\s+/g, ' ').trim();
+  };
+
+  const renderChildren = (node, writer, context) => {
+    node.childNodes.forEach(child => render(child, writer, context));
+  };
+
+  const render = (node, writer, context) => {
+    if (node.nodeType === 3) {
+      writer.text(node.text);
+      return;
+    }
+    if (node.nodeType !== 1 || isHidden(node)) return;
+
+    const tag = node.rawTagName.toLowerCase();
+
+    if (tag === 'br') {
+      if (context.inline) {
+        writer.text(' ');
+      } else {
+        writer.raw('\n');
+      }
+    } else if (tag === 'pre' && !context.inline) {
+      writer.lineBreak(2);
+      writer.raw(node.text.replace(/^\n/, '').replace(/\s+$/, ''));
+      writer.lineBreak(2);
+    } else if (tag === 'table') {
+      const rows = tableRows(node).map(row => row.childNodes
+        .filter(cell => cell.nodeType === 1 && ['td', 'th'].includes(cell.rawTagName.toLowerCase()) && !isHidden(cell))
+        .map(cell => renderInline(cell, { ...context, inline: true })));
+      tables.push(rows);
+
+      writer.lineBreak(2);
+      rows.forEach(cells => {
+        writer.raw(cells.join(context.inline ? ' ' : '\t'));
+        writer.lineBreak(1);
+      });
+      writer.lineBreak(2);
+    } else if ((tag === 'ul' || tag === 'ol') && !context.inline) {
+      const depth = context.listDepth || 0;
+      writer.lineBreak(depth === 0 ? 2 : 1);
+      ownChildren(node, 'li').filter(item => !isHidden(item)).forEach((item, index) => {
+        writer.lineBreak(1);
+        writer.raw(`${'  '.repeat(depth)}${tag === 'ol' ? `${index + 1}.` : '-'} `);
+        renderChildren(item, writer, { ...context, listDepth: depth + 1 });
+      });
+      writer.lineBreak(depth === 0 ? 2 : 1);
+    } else if (PARAGRAPH_TAGS.has(tag) || LINE_TAGS.has(tag)) {
+      const count = PARAGRAPH_TAGS.has(tag) ? 2 : 1;
+      writer.lineBreak(count);
+      renderChildren(node, writer, context);
+      writer.lineBreak(count);
+    } else {
+      if (tag === 'a') collectLink(node, context);
+      renderChildren(node, writer, context);
+    }
+  };
+
+  const collectLink = (anchor, context) => {
+    const href = (anchor.getAttribute('href') || '').trim();
+    if (href === '' || href.startsWith('#') || /^javascript:/i.test(href)) return;
+
+    const image = anchor.querySelector('img[alt]');
+    const text = renderInline(anchor, { ...context, inline: true }) ||
+      anchor.getAttribute('title') ||
+      anchor.getAttribute('aria-label') ||
+      (image ? image.getAttribute('alt') : '');
+    links.push({ url: resolveUrl(href, base), text: text || '', source: 'hyperlink' });
+  };
+
+  const writer = createWriter();
+  renderChildren(root, writer, {});
+
+  return {
+    text: writer.toString()
+      .split('\n')
+      .map(line => line.replace(/[ \u00a0]+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim(),
+    links,
+    tables
+  };
+}
+
+module.exports = {
+  htmlToText
+};
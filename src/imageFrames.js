@@ -0,0 +1,107 @@
+// Split multi-frame images - multi-page TIFF scans and animated GIFs - into one image per frame,
+// since Tesseract only reads an image's first frame. Frames are cut out at the byte level, without
+// decoding any pixels, and only when asked for: each frame is a function returning its Buffer, so
+// a long scan holds just the frames being recognised rather than a copy of the file per page.
+//
+//   TIFF  Each page is an IFD in a linked list. A frame is a copy of the file whose header points at
+//         that page's IFD, with the IFD's link to the next page cleared. Reduced-resolution pages
+//         (thumbnails) are skipped.
+//   GIF   A frame is a GIF of its own: the header, logical screen and global colour table followed
+//         by the frame's image block. Frames are read as stored - in animations that only redraw
+//         part of the screen, such a frame holds just that part.
+
+const GIF_TRAILER = 0x3b;
+const GIF_EXTENSION = 0x21;
+const GIF_IMAGE = 0x2c;
+const GIF_GRAPHIC_CONTROL = 0xf9;
+
+const TIFF_NEW_SUBFILE_TYPE = 254;
+
+function tiffFrames(buffer) {
+  const littleEndian = buffer.toString('latin1', 0, 2) === 'II';
+  const read16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const read32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  const write32 = (target, value, offset) => (littleEndian ? target.writeUInt32LE(value, offset) : target.writeUInt32BE(value, offset));
+
+  // BigTIFF (43) uses 64-bit offsets - read it as a single image
+  if (read16(2) !== 42) return [() => buffer];
+
+  const pages = [];
+  const seen = new Set();
+  let offset = read32(4);
+  while (offset > 0 && offset + 2 <= buffer.length && !seen.has(offset)) {
+    seen.add(offset);
+    const count = read16(offset);
+    const nextPointer = offset + 2 + count * 12;
+    if (nextPointer + 4 > buffer.length) break;
+
+    let reducedResolution = false;
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (read16(entry) === TIFF_NEW_SUBFILE_TYPE) reducedResolution = Boolean(read32(entry + 8) & 1);
+    }
+    if (!reducedResolution) pages.push({ offset, nextPointer });
+    offset = read32(nextPointer);
+  }
+
+  if (pages.length <= 1) return [() => buffer];
+
+  return pages.map(page => () => {
+    const frame = Buffer.from(buffer);
+    write32(frame, page.offset, 4);
+    write32(frame, 0, page.nextPointer);
+    return frame;
+  });
+}
+
+// Skip a run of GIF data sub-blocks, returning the offset after the terminating empty block
+function skipSubBlocks(buffer, offset) {
+  while (offset < buffer.length && buffer[offset] !== 0) {
+    offset += buffer[offset] + 1;
+  }
+  return offset + 1;
+}
+
+function colorTableSize(packed) {
+  return packed & 0x80 ? 3 * (1 << ((packed & 0x07) + 1)) : 0;
+}
+
+function gifFrames(buffer) {
+  const screenEnd = 13 + colorTableSize(buffer[10]);
+  const screen = buffer.slice(0, screenEnd);
+  const frames = [];
+  let graphicControl = null;
+  let offset = screenEnd;
+
+  while (offset < buffer.length && buffer[offset] !== GIF_TRAILER) {
+    if (buffer[offset] === GIF_EXTENSION) {
+      const end = skipSubBlocks(buffer, offset + 2);
+      // The graphic control extension (delay, transparency) belongs to the next image
+      if (buffer[offset + 1] === GIF_GRAPHIC_CONTROL) graphicControl = buffer.slice(offset, end);
+      offset = end;
+    } else if (buffer[offset] === GIF_IMAGE) {
+      const dataStart = offset + 10 + colorTableSize(buffer[offset + 9]) + 1;
+      const end = skipSubBlocks(buffer, dataStart);
+      const parts = [screen, graphicControl || Buffer.alloc(0), buffer.slice(offset, end), Buffer.from([GIF_TRAILER])];
+      frames.push(() => Buffer.concat(parts));
+      graphicControl = null;
+      offset = end;
+    } else {
+      break;
+    }
+  }
+
+  return frames.length > 1 ? frames : [() => buffer];
+}
+
+// One function per frame, returning that frame's Buffer - the original buffer alone for single-frame
+// and other images
+function splitImageFrames(buffer, mimeType) {
+  if (mimeType === 'image/tiff' && buffer.length >= 8) return tiffFrames(buffer);
+  if (mimeType === 'image/gif' && buffer.length >= 13) return gifFrames(buffer);
+  return [() => buffer];
+}
+
+module.exports = {
+  splitImageFrames
+};
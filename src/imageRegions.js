@@ -0,0 +1,154 @@
+// Crop OCR input to a region of interest and mask out areas that should never be read (ads, clocks,
+// avatars). Regions are { x, y, width, height } in full-image pixels, and OCR coordinates are shifted
+// back into full-image space afterwards.
+
+let _canvas = null;
+
+// The canvas binding is only loaded when a call actually uses regions
+function loadCanvas() {
+  if (!_canvas) {
+    _canvas = require('@napi-rs/canvas');
+  }
+  return _canvas;
+}
+
+function validateRegion(region, name) {
+  const valid = region && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key]));
+  if (!valid || region.width <= 0 || region.height <= 0) {
+    throw new Error(`Invalid ${name}: expected { x, y, width, height } with a positive width and height`);
+  }
+}
+
+// Clamp a region to the image bounds - null when it lies entirely outside the image
+function clampRegion(region, imageWidth, imageHeight) {
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(imageWidth, Math.ceil(region.x + region.width));
+  const y1 = Math.min(imageHeight, Math.ceil(region.y + region.height));
+
+  if (x1 <= x0 || y1 <= y0) return null;
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+// The colour around a mask (the median of a ring of pixels just outside it, skipping other masks), so
+// the mask blends into the background. White would leave a bright patch on a dark-mode screenshot
+// that Tesseract - and the 'auto' preprocess invert - treat as content.
+function backgroundAround(pixels, width, height, rect, masks) {
+  const inMask = (x, y) => masks.some(mask =>
+    x >= mask.x && x < mask.x + mask.width && y >= mask.y && y < mask.y + mask.height);
+
+  const samples = [];
+  const sample = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height || inMask(x, y)) return;
+    const index = (y * width + x) * 4;
+    samples.push([pixels[index], pixels[index + 1], pixels[index + 2]]);
+  };
+
+  const x0 = Math.floor(rect.x) - 2;
+  const y0 = Math.floor(rect.y) - 2;
+  const x1 = Math.ceil(rect.x + rect.width) + 1;
+  const y1 = Math.ceil(rect.y + rect.height) + 1;
+  for (let x = x0; x <= x1; x++) {
+    sample(x, y0);
+    sample(x, y1);
+  }
+  for (let y = y0 + 1; y < y1; y++) {
+    sample(x0, y);
+    sample(x1, y);
+  }
+
+  // Nothing visible around it (the mask covers the whole crop) - any colour will do
+  if (samples.length === 0) return '#ffffff';
+
+  const median = (channel) => samples.map(pixel => pixel[channel]).sort((a, b) => a - b)[Math.floor(samples.length / 2)];
+  return `rgb(${median(0)}, ${median(1)}, ${median(2)})`;
+}
+
+// Returns the image to OCR and the offset of its top-left corner in the original image
+async function prepareImageRegion(image, options = {}) {
+  const { region, ignoreRegions } = options;
+  const masks = ignoreRegions || [];
+
+  if (!region && masks.length === 0) {
+    return { image, offset: { x: 0, y: 0 } };
+  }
+
+  if (region) validateRegion(region, 'region');
+  if (!Array.isArray(masks)) {
+    throw new Error('ignoreRegions must be an array of { x, y, width, height } regions');
+  }
+  masks.forEach(mask => validateRegion(mask, 'ignore region'));
+
+  const { loadImage, createCanvas } = loadCanvas();
+  const source = await loadImage(image);
+
+  const crop = region
+    ? clampRegion(region, source.width, source.height)
+    : { x: 0, y: 0, width: source.width, height: source.height };
+  if (!crop) {
+    throw new Error(`Region ${JSON.stringify(region)} is outside the ${source.width}x${source.height} image`);
+  }
+
+  const canvas = createCanvas(crop.width, crop.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(source, -crop.x, -crop.y);
+
+  // Paint masked areas in the colour around them so Tesseract sees blank background there. Colours
+  // are all sampled before any mask is painted.
+  const rects = masks.map(mask => ({ x: mask.x - crop.x, y: mask.y - crop.y, width: mask.width, height: mask.height }));
+  if (rects.length > 0) {
+    const pixels = context.getImageData(0, 0, crop.width, crop.height).data;
+    const fills = rects.map(rect => backgroundAround(pixels, crop.width, crop.height, rect, rects));
+    rects.forEach((rect, index) => {
+      context.fillStyle = fills[index];
+      context.fillRect(rect.x, rect.y, rect.width, rect.height);
+    });
+  }
+
+  return {
+    image: await canvas.encode('png'),
+    offset: { x: crop.x, y: crop.y }
+  };
+}
+
+// Move every bounding box in Tesseract's result through mapPoint(x, y) -> { x, y }. Words, lines and
+// blocks share objects between the flat lists and the block hierarchy, so each bbox is moved only once.
+function mapOcrData(data, mapPoint) {
+  if (!data) return data;
+
+  const moved = new Set();
+  const move = (item) => {
+    if (!item || !item.bbox || moved.has(item.bbox)) return;
+    moved.add(item.bbox);
+
+    const { x0, y0, x1, y1 } = item.bbox;
+    const corners = [mapPoint(x0, y0), mapPoint(x1, y0), mapPoint(x0, y1), mapPoint(x1, y1)];
+    item.bbox.x0 = Math.round(Math.min(...corners.map(corner => corner.x)));
+    item.bbox.y0 = Math.round(Math.min(...corners.map(corner => corner.y)));
+    item.bbox.x1 = Math.round(Math.max(...corners.map(corner => corner.x)));
+    item.bbox.y1 = Math.round(Math.max(...corners.map(corner => corner.y)));
+  };
+
+  (data.blocks || []).forEach(block => {
+    move(block);
+    (block.paragraphs || []).forEach(paragraph => {
+      move(paragraph);
+      (paragraph.lines || []).forEach(line => {
+        move(line);
+        (line.words || []).forEach(word => {
+          move(word);
+          (word.symbols || []).forEach(move);
+        });
+      });
+    });
+  });
+  ['paragraphs', 'lines', 'words', 'symbols'].forEach(key => (data[key] || []).forEach(move));
+
+  return data;
+}
+
+module.exports = {
+  loadCanvas,
+  prepareImageRegion,
+  mapOcrData
+};
@@ -0,0 +1,304 @@
+// Inputs accepted by every public API: a file path, a Buffer (or Uint8Array), a readable stream, or
+// a base64 / data-URL string. The type declared by the file name (or options.mimeType) is checked
+// against the type detected from the content's magic bytes, so renamed and extension-less files
+// still reach the right extractor.
+
+const fs = require('fs-extra');
+const mime = require('mime-types');
+const { Readable } = require('stream');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const ZIP_CENTRAL_SIGNATURE = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+const ZIP_END_SIGNATURE = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// How much of a file is read to identify it. ZIP and OLE2 files list their contents near the end,
+// so the tail of those is read as well.
+const SIGNATURE_HEAD_BYTES = 4096;
+const SIGNATURE_TAIL_BYTES = 65536;
+
+// Stream names that identify the application behind an OLE2 compound file (.doc, .xls, ...)
+const CFB_STREAMS = [
+  ['WordDocument', 'application/msword'],
+  ['Workbook', 'application/vnd.ms-excel'],
+  ['Book', 'application/vnd.ms-excel'],
+  ['PowerPoint Document', 'application/vnd.ms-powerpoint'],
+  ['__substg1.0_', 'application/vnd.ms-outlook']
+].map(([stream, mimeType]) => [Buffer.from(stream, 'utf16le'), mimeType]);
+
+const EMAIL_HEADER_START = /^(received|return-path|delivered-to|from|to|subject|date|mime-version|message-id|x-[\w-]+):/;
+
+// The content of a ZIP's first entry when it is the stored "mimetype" file of OpenDocument / EPUB
+function zipMimetypeEntry(buffer) {
+  if (buffer.length < 30) return null;
+  const nameLength = buffer.readUInt16LE(26);
+  const extraLength = buffer.readUInt16LE(28);
+  if (buffer.toString('latin1', 30, 30 + nameLength) !== 'mimetype') return null;
+
+  const start = 30 + nameLength + extraLength;
+  const content = buffer.toString('latin1', start, start + buffer.readUInt32LE(18)).trim();
+  return /^application\/[\w.+-]+$/.test(content) ? content : null;
+}
+
+// Office Open XML packages, told apart by their main part
+const OOXML_PARTS = [
+  ['word/document.xml', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ['xl/workbook.xml', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ['ppt/presentation.xml', 'application/vnd.openxmlformats-officedocument.presentationml.presentation']
+];
+
+// Names of the entries in a ZIP, from its central directory. buffer may be the head and tail of a
+// larger file (see readFileSignature), so the directory is found from the end-of-directory record
+// rather than by offset. When the directory isn't all there, the local headers present are used.
+function zipEntryNames(buffer) {
+  const names = [];
+  const end = buffer.lastIndexOf(ZIP_END_SIGNATURE);
+
+  if (end !== -1 && end + 22 <= buffer.length) {
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = end - buffer.readUInt32LE(end + 12);
+
+    for (let i = 0; i < count && offset >= 0 && offset + 46 <= end; i++) {
+      if (!buffer.slice(offset, offset + 4).equals(ZIP_CENTRAL_SIGNATURE)) break;
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    if (names.length === count) return names;
+  }
+
+  // Local headers: signature, then the name length at 26 and the name at 30
+  names.length = 0;
+  let offset = 0;
+  while ((offset = buffer.indexOf(ZIP_SIGNATURE, offset)) !== -1 && offset + 30 <= buffer.length) {
+    names.push(buffer.toString('utf8', offset + 30, offset + 30 + buffer.readUInt16LE(offset + 26)));
+    offset += 30;
+  }
+  return names;
+}
+
+// Identify common formats from their first bytes. Returns null when nothing matches.
+function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+  const head = buffer.slice(0, 512).toString('latin1');
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47])) return 'image/png';
+  if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) return 'image/gif';
+  if (head.startsWith('BM') && startsWith([0, 0, 0, 0], 6)) return 'image/bmp';
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return 'image/webp';
+  if (head.startsWith('%PDF-')) return 'application/pdf';
+  if (head.startsWith('{\\rtf')) return 'application/rtf';
+
+  if (buffer.slice(0, 4).equals(ZIP_SIGNATURE)) {
+    // OpenDocument and EPUB files start with an uncompressed "mimetype" entry naming their type
+    const packaged = zipMimetypeEntry(buffer);
+    if (packaged) return packaged;
+
+    // Office Open XML files hold [Content_Types].xml and the main part of their kind
+    const names = new Set(zipEntryNames(buffer));
+    const officePart = names.has('[Content_Types].xml') && OOXML_PARTS.find(([part]) => names.has(part));
+    return officePart ? officePart[1] : 'application/zip';
+  }
+
+  if (buffer.slice(0, 8).equals(CFB_SIGNATURE)) {
+    const match = CFB_STREAMS.find(([stream]) => buffer.includes(stream));
+    return match ? match[1] : 'application/x-cfb';
+  }
+
+  const text = head.replace(/^\xEF\xBB\xBF/, '').trimStart().toLowerCase();
+  if (text.startsWith('<!doctype html') || text.startsWith('<html')) return 'text/html';
+  if (text.startsWith('<?xml')) return /<html[\s>]/.test(text) ? 'text/html' : 'application/xml';
+
+  // Saved emails start with a block of headers, at least one of them only found in messages
+  if (EMAIL_HEADER_START.test(text) && /^(received|mime-version|message-id|return-path):/m.test(text)) {
+    return 'message/rfc822';
+  }
+
+  // Anything without control characters (other than whitespace) is treated as plain text
+  if (!/[\x00-\x08\x0E-\x1F]/.test(head)) return 'text/plain';
+
+  return null;
+}
+
+function isTextType(mimeType) {
+  return mimeType.startsWith('text/') || mimeType.startsWith('message/') ||
+    /[/+](json|xml|yaml|javascript)$/.test(mimeType);
+}
+
+// Detections that only say "some ZIP archive", "some OLE2 file" or "some text" - a declared type of
+// the same kind is more specific and is kept
+const GENERIC_TYPES = {
+  'application/zip': declared => /zip|openxmlformats|opendocument/.test(declared),
+  'application/x-cfb': declared => /msword|ms-excel|ms-powerpoint|ms-outlook/.test(declared),
+  'text/plain': isTextType,
+  'text/html': declared => /xml$/.test(declared),
+  'application/xml': declared => /xml$/.test(declared)
+};
+
+// Decide between the declared and the detected type - the content wins unless it only identifies
+// a generic container the declared type refines
+function resolveMimeType(declaredMimeType, detectedMimeType) {
+  if (!detectedMimeType) return declaredMimeType || 'application/octet-stream';
+  if (!declaredMimeType || declaredMimeType === 'application/octet-stream') return detectedMimeType;
+
+  const refinedBy = GENERIC_TYPES[detectedMimeType];
+  return refinedBy && refinedBy(declaredMimeType) ? declaredMimeType : detectedMimeType;
+}
+
+// Read enough of a file to identify it - an empty Buffer for anything that isn't a regular file
+function readFileSignature(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const stats = fs.fstatSync(fd);
+    if (!stats.isFile()) return Buffer.alloc(0);
+
+    const head = Buffer.alloc(Math.min(stats.size, SIGNATURE_HEAD_BYTES));
+    fs.readSync(fd, head, 0, head.length, 0);
+
+    const container = head.slice(0, 4).equals(ZIP_SIGNATURE) || head.slice(0, 8).equals(CFB_SIGNATURE);
+    if (!container || stats.size <= SIGNATURE_HEAD_BYTES) return head;
+
+    const tail = Buffer.alloc(Math.min(stats.size - SIGNATURE_HEAD_BYTES, SIGNATURE_TAIL_BYTES));
+    fs.readSync(fd, tail, 0, tail.length, stats.size - tail.length);
+    return Buffer.concat([head, tail]);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Type a file on disk - { mimeType, declaredMimeType, detectedMimeType }. declaredMimeType comes
+// from options.mimeType or the extension; an explicit options.mimeType is always used as is.
+function detectFileType(filePath, options = {}) {
+  const declaredMimeType = options.mimeType || mime.lookup(filePath) || null;
+  const detectedMimeType = sniffMimeType(readFileSignature(filePath));
+
+  return {
+    mimeType: options.mimeType || resolveMimeType(declaredMimeType, detectedMimeType),
+    declaredMimeType,
+    detectedMimeType
+  };
+}
+
+function isReadableStream(input) {
+  return input && typeof input === 'object' && !Buffer.isBuffer(input) &&
+    (typeof input.pipe === 'function' || typeof input[Symbol.asyncIterator] === 'function');
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Decode a data URL or bare base64 string - null when the string is neither. Paths such as
+// 'scans/report2024/abcd' are valid base64 too, so a bare string only counts when it decodes to a
+// file with a recognisable signature (an image, PDF, Office file...); anything else needs a data URL.
+function decodeBase64(input) {
+  const dataUrl = input.match(/^data:([\w/+.-]+)?(?:;[\w-]+=[\w-]+)*;base64,(.*)$/s);
+  if (dataUrl) {
+    return { buffer: Buffer.from(dataUrl[2], 'base64'), mimeType: dataUrl[1] || null };
+  }
+
+  const base64 = input.replace(/\s+/g, '');
+  if (base64.length >= 16 && base64.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    const buffer = Buffer.from(base64, 'base64');
+    const detected = sniffMimeType(buffer);
+    if (detected && detected !== 'text/plain') {
+      return { buffer, mimeType: null };
+    }
+  }
+  return null;
+}
+
+// Resolve any supported input into { source, filePath, name, mimeType, declaredMimeType,
+// detectedMimeType }. source is the file path or a Buffer; name is the best file name known for the
+// input (null for anonymous buffers).
+async function resolveInput(input, options = {}) {
+  if (typeof input === 'string') {
+    if (await fs.pathExists(input)) {
+      return { source: input, filePath: input, name: input, ...detectFileType(input, options) };
+    }
+
+    const decoded = decodeBase64(input);
+    if (!decoded) {
+      throw new Error(`File not found: ${input}`);
+    }
+    return resolveBuffer(decoded.buffer, { declaredMimeType: decoded.mimeType, ...pickTypeOptions(options) });
+  }
+
+  if (Buffer.isBuffer(input) || input instanceof Uint8Array) {
+    return resolveBuffer(Buffer.from(input), options);
+  }
+
+  if (isReadableStream(input)) {
+    // fs.createReadStream() remembers its path, which is as good as a file name
+    const streamName = typeof input.path === 'string' ? input.path : null;
+    return resolveBuffer(await readStream(input), { fileName: streamName, ...pickTypeOptions(options) });
+  }
+
+  throw new Error('Input must be a file path, Buffer, readable stream or base64 string');
+}
+
+function pickTypeOptions(options) {
+  const picked = {};
+  if (options.mimeType) picked.mimeType = options.mimeType;
+  if (options.fileName) picked.fileName = options.fileName;
+  return picked;
+}
+
+// A data URL's media type counts as declared, like a file name's extension
+function resolveBuffer(buffer, options = {}) {
+  const declaredMimeType = options.mimeType ||
+    (options.fileName && mime.lookup(options.fileName)) ||
+    options.declaredMimeType ||
+    null;
+  const detectedMimeType = sniffMimeType(buffer);
+
+  return {
+    source: buffer,
+    filePath: null,
+    name: options.fileName || null,
+    mimeType: options.mimeType || resolveMimeType(declaredMimeType, detectedMimeType),
+    declaredMimeType,
+    detectedMimeType
+  };
+}
+
+// Short description of an input for log and error messages
+function describeInput(input) {
+  if (typeof input === 'string') return input.length > 80 ? `${input.slice(0, 40)}... (${input.length} characters)` : input;
+  if (Buffer.isBuffer(input) || input instanceof Uint8Array) return `<Buffer ${input.length} bytes>`;
+  if (isReadableStream(input)) return typeof input.path === 'string' ? input.path : '<stream>';
+  return String(input);
+}
+
+// Helpers for extractors, which get either a file path or a Buffer
+async function readSource(source) {
+  return Buffer.isBuffer(source) ? source : fs.readFile(source);
+}
+
+async function readSourceText(source) {
+  return Buffer.isBuffer(source) ? source.toString('utf-8') : fs.readFile(source, 'utf-8');
+}
+
+function createSourceStream(source) {
+  return Buffer.isBuffer(source) ? Readable.from([source]) : fs.createReadStream(source);
+}
+
+module.exports = {
+  resolveInput,
+  detectFileType,
+  sniffMimeType,
+  describeInput,
+  readSource,
+  readSourceText,
+  createSourceStream
+};
@@ -0,0 +1,148 @@
+// Text from legacy Word (.doc, Word 97-2003) files. The text lives in the WordDocument stream as
+// "pieces" - runs of either 8-bit (Windows-1252) or UTF-16 characters - listed by the piece table
+// (Clx) in the 0Table / 1Table stream. Word's special characters are turned into text: paragraph
+// marks into line breaks, cell marks into tabs, and HYPERLINK fields into links.
+
+const CFB = require('cfb');
+
+const windows1252 = new TextDecoder('windows-1252');
+
+function readStream(container, name) {
+  const entry = CFB.find(container, name);
+  return entry && entry.content ? Buffer.from(entry.content) : null;
+}
+
+// Offsets into the File Information Block, whose variable-length arrays move everything after them
+function readFib(wordDocument) {
+  const flags = wordDocument.readUInt16LE(0x0a);
+  const nFib = wordDocument.readUInt16LE(0x02);
+
+  let offset = 32;
+  const csw = wordDocument.readUInt16LE(offset);
+  offset += 2 + csw * 2;
+  const cslw = wordDocument.readUInt16LE(offset);
+  const fibRgLw = offset + 2;
+  offset = fibRgLw + cslw * 4;
+  const fibRgFcLcb = offset + 2;
+
+  return {
+    nFib,
+    encrypted: Boolean(flags & 0x0100),
+    tableStream: flags & 0x0200 ? '1Table' : '0Table',
+    ccpText: wordDocument.readInt32LE(fibRgLw + 12),
+    fcClx: wordDocument.readUInt32LE(fibRgFcLcb + 33 * 8),
+    lcbClx: wordDocument.readUInt32LE(fibRgFcLcb + 33 * 8 + 4)
+  };
+}
+
+// Read the piece table and join the pieces into the document's character stream
+function readPieces(wordDocument, table, fib) {
+  let offset = fib.fcClx;
+  const end = fib.fcClx + fib.lcbClx;
+
+  // Skip the property modifiers (Prc) in front of the piece table (Pcdt)
+  while (offset < end && table[offset] === 0x01) {
+    offset += 3 + table.readUInt16LE(offset + 1);
+  }
+  if (table[offset] !== 0x02) {
+    throw new Error('Invalid .doc file: piece table not found');
+  }
+
+  const lcb = table.readUInt32LE(offset + 1);
+  const plc = offset + 5;
+  const count = (lcb - 4) / 12;
+  let text = '';
+
+  for (let i = 0; i < count; i++) {
+    const cpStart = table.readUInt32LE(plc + i * 4);
+    const cpEnd = table.readUInt32LE(plc + (i + 1) * 4);
+    const fcValue = table.readUInt32LE(plc + (count + 1) * 4 + i * 8 + 2);
+    const compressed = Boolean(fcValue & 0x40000000);
+    const fc = fcValue & 0x3fffffff;
+    const length = cpEnd - cpStart;
+
+    text += compressed
+      ? windows1252.decode(wordDocument.subarray(fc / 2, fc / 2 + length))
+      : wordDocument.toString('utf16le', fc, fc + length * 2);
+  }
+
+  return text;
+}
+
+// Replace fields (0x13 instruction 0x14 result 0x15) by their result, collecting hyperlinks
+function resolveFields(text, links) {
+  let output = '';
+  const fields = [];
+
+  for (const char of text) {
+    const field = fields[fields.length - 1];
+
+    if (char === '\x13') {
+      fields.push({ instruction: '', result: '', inResult: false });
+    } else if (char === '\x14' && field) {
+      field.inResult = true;
+    } else if (char === '\x15' && field) {
+      fields.pop();
+      const target = field.instruction.match(/HYPERLINK\s+(?:\\l\s+)?"([^"]+)"/i);
+      if (target) {
+        links.push({ url: target[1], text: field.result.replace(/\s+/g, ' ').trim(), source: 'hyperlink' });
+      }
+      // A nested field's result is part of its parent
+      if (fields.length > 0) {
+        const parent = fields[fields.length - 1];
+        if (parent.inResult) parent.result += field.result;
+      } else {
+        output += field.result;
+      }
+    } else if (field) {
+      if (field.inResult) {
+        field.result += char;
+      } else {
+        field.instruction += char;
+      }
+    } else {
+      output += char;
+    }
+  }
+
+  return output;
+}
+
+function extractDocText(buffer) {
+  const container = CFB.read(buffer, { type: 'buffer' });
+  const wordDocument = readStream(container, 'WordDocument');
+  if (!wordDocument) {
+    throw new Error('Invalid .doc file: no WordDocument stream');
+  }
+
+  const fib = readFib(wordDocument);
+  if (fib.encrypted) {
+    throw new Error('Encrypted .doc files are not supported');
+  }
+  if (fib.nFib < 0x00c1) {
+    throw new Error('Word 6 / Word 95 .doc files are not supported');
+  }
+
+  const table = readStream(container, fib.tableStream);
+  if (!table) {
+    throw new Error(`Invalid .doc file: no ${fib.tableStream} stream`);
+  }
+
+  // The main document comes first; footnotes, headers and comments follow it
+  const links = [];
+  const text = resolveFields(readPieces(wordDocument, table, fib).slice(0, fib.ccpText), links)
+    .replace(/\x07\x07/g, '\n')       // Last cell mark of a table row + row mark
+    .replace(/\x07/g, '\t')           // Cell mark
+    .replace(/[\r\x0b\x0c]/g, '\n')   // Paragraph mark, line break, page break
+    .replace(/\x1e/g, '-')            // Non-breaking hyphen
+    .replace(/[\x00-\x08\x1f]/g, '')  // Object anchors, note references, optional hyphens
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { text, links };
+}
+
+module.exports = {
+  extractDocText
+};
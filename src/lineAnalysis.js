@@ -0,0 +1,81 @@
+// Classify a line of extracted text (title, header, list item, page number, ...) so callers can
+// reason about its role in the document
+
+function analyzeLine(line, index) {
+  const trimmedLine = line.trim();
+
+  // Determine line type and priority
+  let lineType = 'content';
+  let priority = 0;
+  let isHeader = false;
+  let isFooter = false;
+
+  // Check for headers (should be at top)
+  if (trimmedLine.match(/^(title|subject|to:|from:|date:|re:|cc:|bcc:)/i)) {
+    lineType = 'header';
+    priority = 1;
+    isHeader = true;
+  } else if (trimmedLine.match(/^[A-Z][A-Z\s]{3,}$/)) {
+    lineType = 'title';
+    priority = 1;
+    isHeader = true;
+  } else if (trimmedLine.match(/^(report|document|memo|letter|email|fax)/i)) {
+    lineType = 'document_type';
+    priority = 2;
+    isHeader = true;
+  }
+
+  // Check for footers (should be at bottom)
+  if (trimmedLine.match(/\b(page|p\.|pg\.)\s*\d+/i)) {
+    lineType = 'page_number';
+    priority = 100;
+    isFooter = true;
+  } else if (trimmedLine.match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/)) {
+    lineType = 'date';
+    priority = 90;
+    isFooter = true;
+  } else if (trimmedLine.match(/\b(©|copyright|all rights reserved)/i)) {
+    lineType = 'copyright';
+    priority = 95;
+    isFooter = true;
+  } else if (trimmedLine.match(/\b(confidential|private|draft|internal)/i)) {
+    lineType = 'status';
+    priority = 85;
+    isFooter = true;
+  }
+
+  // Check for content structure
+  if (trimmedLine.match(/^[0-9]+\.\s/)) {
+    lineType = 'numbered_list';
+    priority = 50;
+  } else if (trimmedLine.match(/^[a-z]\)\s/)) {
+    lineType = 'lettered_list';
+    priority = 50;
+  } else if (trimmedLine.match(/^[-*•]\s/)) {
+    lineType = 'bullet_list';
+    priority = 50;
+  }
+
+  // Check for logical flow indicators
+  if (trimmedLine.match(/^(therefore|thus|consequently|as a result)/i)) {
+    lineType = 'conclusion';
+    priority = 80;
+  } else if (trimmedLine.match(/^(in conclusion|summary|finally)/i)) {
+    lineType = 'conclusion';
+    priority = 80;
+  }
+
+  return {
+    originalIndex: index,
+    text: trimmedLine,
+    lineType,
+    priority,
+    isHeader,
+    isFooter,
+    originalLine: line
+  };
+}
+
+module.exports = {
+  analyzeLine
+};
@@ -0,0 +1,113 @@
+// Text from OpenDocument text files (.odt). content.xml holds the body as text:h / text:p
+// paragraphs, text:list lists and table:table tables; headings, list items and table rows are
+// rendered the same way as structured DOCX and HTML text. text:a hyperlinks are returned as links.
+// (OpenDocument spreadsheets are read by the Excel extractor.)
+
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Content that isn't part of the document's text - annotations, note citations, change tracking
+const SKIPPED_ELEMENTS = new Set(['annotation', 'note-citation', 'tracked-changes', 'bookmark-ref', 'sequence-decls']);
+
+function elementChildren(node) {
+  return Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+}
+
+async function extractOdtText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new Error('Invalid OpenDocument file: no content.xml');
+  }
+
+  const document = new DOMParser().parseFromString(await content.async('string'), 'text/xml');
+  const body = document.getElementsByTagName('office:text')[0];
+  if (!body) {
+    throw new Error('Unsupported OpenDocument file: no text body');
+  }
+
+  const links = [];
+  const blocks = [];
+
+  // Inline content of a paragraph or heading
+  const inlineText = (node) => {
+    let text = '';
+    Array.from(node.childNodes || []).forEach(child => {
+      if (child.nodeType === 3 || child.nodeType === 4) {
+        text += child.nodeValue;
+        return;
+      }
+      if (child.nodeType !== 1 || SKIPPED_ELEMENTS.has(child.localName)) return;
+
+      if (child.localName === 's') {
+        text += ' '.repeat(parseInt(child.getAttribute('text:c')) || 1);
+      } else if (child.localName === 'tab') {
+        text += '\t';
+      } else if (child.localName === 'line-break') {
+        text += '\n';
+      } else if (child.localName === 'a') {
+        const linkText = inlineText(child);
+        const href = child.getAttribute('xlink:href');
+        if (href && !href.startsWith('#')) {
+          links.push({ url: href, text: linkText.replace(/\s+/g, ' ').trim(), source: 'hyperlink' });
+        }
+        text += linkText;
+      } else {
+        text += inlineText(child);
+      }
+    });
+    return text;
+  };
+
+  const renderList = (list, depth, lines) => {
+    elementChildren(list).filter(item => item.localName === 'list-item' || item.localName === 'list-header').forEach(item => {
+      elementChildren(item).forEach(child => {
+        if (child.localName === 'list') {
+          renderList(child, depth + 1, lines);
+        } else {
+          lines.push(`${'  '.repeat(depth)}- ${inlineText(child).trim()}`);
+        }
+      });
+    });
+    return lines;
+  };
+
+  const tableRows = (table) => {
+    const rows = [];
+    elementChildren(table).forEach(child => {
+      if (child.localName === 'table-row') {
+        rows.push(elementChildren(child)
+          .filter(cell => cell.localName === 'table-cell')
+          .map(cell => elementChildren(cell).map(inlineText).join(' ').replace(/\s+/g, ' ').trim()));
+      } else if (['table-header-rows', 'table-rows', 'table-row-group'].includes(child.localName)) {
+        rows.push(...tableRows(child));
+      }
+    });
+    return rows;
+  };
+
+  const renderBlocks = (node) => {
+    elementChildren(node).forEach(child => {
+      if (SKIPPED_ELEMENTS.has(child.localName)) return;
+
+      if (child.localName === 'h' || child.localName === 'p') {
+        const text = inlineText(child).trim();
+        if (text.length > 0) blocks.push(text);
+      } else if (child.localName === 'list') {
+        blocks.push(renderList(child, 0, []).join('\n'));
+      } else if (child.localName === 'table') {
+        blocks.push(tableRows(child).map(cells => cells.join('\t')).join('\n'));
+      } else {
+        // Sections, frames and other containers
+        renderBlocks(child);
+      }
+    });
+  };
+
+  renderBlocks(body);
+  return { text: blocks.filter(block => block.length > 0).join('\n\n'), links };
+}
+
+module.exports = {
+  extractOdtText
+};
@@ -0,0 +1,380 @@
+// Oxford Test of English certificates - text fixes and structured data extraction
+
+const MODULES = ['speaking', 'listening', 'reading', 'writing'];
+
+// Labels printed on the certificate - each value sits on the label's line or below it
+const LABELS = {
+  name: /^test\s*taker\s*name\b/i,
+  dateOfBirth: /^date\s*of\s*birth\b/i,
+  number: /^test\s*taker\s*number\b/i,
+  certificateRef: /^certificate\s*reference\s*number\b/i,
+  overallScore: /^overall\s*score\b/i,
+  overallCefrLevel: /^overall\s*cefr\s*level\b/i,
+  module: /^(speaking|listening|reading|writing)\b/i
+};
+
+// Other headings on the certificate that never hold a value themselves
+const HEADINGS = /^(modules?|score|cefr(\s*level|\s*scale)?|date|test\s*results|overall\s*results|score\s*guide|results\s*verification|oxford\s*test\s*of\s*english|certificate)\b/i;
+
+const PATTERNS = {
+  date: /\b(\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{4})/i,
+  number: /\b(\d{6,})\b/,
+  // Letter prefix may have been split from the digits by the text fixes, e.g. "AM 0321234567"
+  certificateRef: /\b([A-Z]{0,4})[ \t]?(\d[A-Z0-9\-/.]{4,})\b/i,
+  // CEFR level immediately followed by a score, e.g. "B1 104" or the merged "B 1104"
+  cefrWithScore: /\b(Below\s+[ABC]\s*[12]|Pre-?A\s*1|[ABC]\s*[12])\s*(\d{2,3})\b/i,
+  cefr: /\b(Below\s+[ABC]\s*[12]|Pre-?A\s*1|[ABC]\s*[12])(?!\d)/i,
+  score: /\b(\d{2,3})\b/,
+  name: /^[\p{L}][\p{L}'’\-. ]*[\p{L}.]$/u
+};
+
+const MAX_SCORE = 200;
+
+// Confidence by how far the value was from its label: same line, next line, and so on
+function distanceConfidence(distance) {
+  return Math.max(0.5, Math.round((0.95 - distance * 0.1) * 100) / 100);
+}
+
+function foundField(value, confidence, status = 'found') {
+  return { value, confidence, status };
+}
+
+function notFoundField() {
+  return { value: null, confidence: 0, status: 'not_found' };
+}
+
+function normalizeCefrLevel(level) {
+  const compact = level.replace(/\s+/g, '').toUpperCase();
+  if (compact.startsWith('BELOW')) return `Below ${compact.slice(5)}`;
+  if (compact.startsWith('PRE')) return 'Pre-A1';
+  return compact;
+}
+
+function cefrLevelFromScore(score) {
+  if (score >= 141) return 'C1';
+  if (score >= 111) return 'B2';
+  if (score >= 81) return 'B1';
+  if (score >= 51) return 'A2';
+  if (score >= 21) return 'A1';
+  return 'Pre-A1';
+}
+
+function isLabelLine(line) {
+  return Object.values(LABELS).some(pattern => pattern.test(line)) || HEADINGS.test(line);
+}
+
+// Text left on a label's line once the label itself is removed
+function labelRemainder(line) {
+  const label = Object.values(LABELS).find(pattern => pattern.test(line)) || HEADINGS;
+  return line.replace(label, '').replace(/^[\s:–-]+/, '').trim();
+}
+
+function isBareLabel(line) {
+  return isLabelLine(line) && labelRemainder(line).length === 0;
+}
+
+// Look for a value on the label's own line, then on the lines below it. Bare labels stacked under
+// this one are skipped (their values follow in the same order); a line that carries another
+// label's value ends the search.
+function findValueNear(lines, labelIndex, matchValue, maxDistance = 4) {
+  const remainder = labelRemainder(lines[labelIndex]);
+  if (remainder) {
+    const value = matchValue(remainder);
+    if (value !== null) return { value, distance: 0 };
+  }
+
+  let distance = 0;
+  for (let i = labelIndex + 1; i < lines.length && distance < maxDistance; i++) {
+    const line = lines[i];
+    if (isBareLabel(line)) continue;
+    if (isLabelLine(line)) break;
+
+    distance++;
+    const value = matchValue(line);
+    if (value !== null) return { value, distance };
+  }
+
+  return null;
+}
+
+function findLabeledField(lines, labelPattern, matchValue) {
+  for (let i = 0; i < lines.length; i++) {
+    if (!labelPattern.test(lines[i])) continue;
+
+    const match = findValueNear(lines, i, matchValue);
+    if (match) {
+      return foundField(match.value, distanceConfidence(match.distance));
+    }
+  }
+  return notFoundField();
+}
+
+const matchers = {
+  name: (line) => (PATTERNS.name.test(line) && !isLabelLine(line) ? line : null),
+  date: (line) => {
+    const match = line.match(PATTERNS.date);
+    return match ? match[1].replace(/\s+/g, ' ') : null;
+  },
+  number: (line) => {
+    const match = line.replace(PATTERNS.date, '').match(PATTERNS.number);
+    return match ? match[1] : null;
+  },
+  certificateRef: (line) => {
+    const match = line.replace(PATTERNS.date, '').match(PATTERNS.certificateRef);
+    return match ? match[1] + match[2] : null;
+  },
+  score: (line) => parseModuleRow(line).score,
+  cefrLevel: (line) => parseModuleRow(line).cefrLevel
+};
+
+// Pull the score, CEFR level and date out of one row of the results table
+function parseModuleRow(text) {
+  const row = { score: null, cefrLevel: null, date: null };
+
+  const dateMatch = text.match(PATTERNS.date);
+  if (dateMatch) {
+    row.date = dateMatch[1].replace(/\s+/g, ' ');
+  }
+  let remaining = text.replace(PATTERNS.date, ' ');
+
+  const combined = remaining.match(PATTERNS.cefrWithScore);
+  if (combined && parseInt(combined[2]) <= MAX_SCORE) {
+    row.cefrLevel = normalizeCefrLevel(combined[1]);
+    row.score = parseInt(combined[2]);
+    return row;
+  }
+
+  const cefrMatch = remaining.match(PATTERNS.cefr);
+  if (cefrMatch) {
+    row.cefrLevel = normalizeCefrLevel(cefrMatch[1]);
+    remaining = remaining.replace(PATTERNS.cefr, ' ');
+  }
+
+  const scoreMatch = remaining.match(PATTERNS.score);
+  if (scoreMatch && parseInt(scoreMatch[1]) <= MAX_SCORE) {
+    row.score = parseInt(scoreMatch[1]);
+  }
+
+  return row;
+}
+
+function moduleResult(row, confidence) {
+  return {
+    score: row.score !== null ? foundField(row.score, confidence) : notFoundField(),
+    cefrLevel: row.cefrLevel !== null ? foundField(row.cefrLevel, confidence) : notFoundField(),
+    date: row.date !== null ? foundField(row.date, confidence) : notFoundField()
+  };
+}
+
+// Associate each module with its score, CEFR level and date from the layout of the results table.
+// Rows either follow their module label ("Speaking  B2 125  03 June 2025", possibly wrapped onto the
+// lines below) or, when the module labels form a column of their own, appear in the same order
+// after the column.
+function extractModuleResults(lines) {
+  const results = {};
+  MODULES.forEach(module => {
+    results[module] = moduleResult({ score: null, cefrLevel: null, date: null }, 0);
+  });
+
+  const labels = [];
+  lines.forEach((line, index) => {
+    const match = line.match(LABELS.module);
+    if (match && line.length <= 60) {
+      labels.push({ index, module: match[1].toLowerCase(), bare: isBareLabel(line) });
+    }
+  });
+
+  // Group bare labels on consecutive lines - two or more of them form a column of module names
+  const columns = [];
+  labels.forEach((label, position) => {
+    const previous = labels[position - 1];
+    const column = columns[columns.length - 1];
+    if (label.bare && previous && previous.bare && previous.index === label.index - 1 && column && column.includes(previous)) {
+      column.push(label);
+    } else if (label.bare) {
+      columns.push([label]);
+    }
+  });
+  const columnLabels = new Set(columns.filter(column => column.length > 1).flat());
+
+  // Rows beside or directly below a single label
+  labels.filter(label => !columnLabels.has(label)).forEach(({ index, module }) => {
+    if (results[module].score.status === 'found') return;
+
+    const rowParts = [labelRemainder(lines[index])];
+    for (let i = index + 1; i < lines.length && i <= index + 3 && !isLabelLine(lines[i]); i++) {
+      rowParts.push(lines[i]);
+    }
+
+    const row = parseModuleRow(rowParts.join(' '));
+    if (row.score !== null) {
+      results[module] = moduleResult(row, rowParts[0] ? 0.95 : 0.85);
+    }
+  });
+
+  // Column layout - the value rows follow the column in the same order as the labels
+  columns.filter(column => column.length > 1).forEach(column => {
+    const rows = [];
+    for (let i = column[column.length - 1].index + 1; i < lines.length && rows.length < column.length; i++) {
+      if (isLabelLine(lines[i])) {
+        if (rows.length > 0) break;
+        continue;
+      }
+      const row = parseModuleRow(lines[i]);
+      if (row.score !== null) rows.push(row);
+    }
+
+    column.forEach(({ module }, position) => {
+      if (results[module].score.status !== 'found' && rows[position]) {
+        results[module] = moduleResult(rows[position], 0.7);
+      }
+    });
+  });
+
+  return results;
+}
+
+// Extract structured data from Oxford Test certificates. Every field is returned as
+// { value, confidence, status } where status is 'found', 'derived' or 'not_found'.
+function extractOxfordTestStructuredData(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+  const data = {
+    testTaker: {
+      name: findLabeledField(lines, LABELS.name, matchers.name),
+      dateOfBirth: findLabeledField(lines, LABELS.dateOfBirth, matchers.date),
+      number: findLabeledField(lines, LABELS.number, matchers.number),
+      certificateRef: findLabeledField(lines, LABELS.certificateRef, matchers.certificateRef)
+    },
+    testResults: extractModuleResults(lines),
+    overallResults: {
+      score: findLabeledField(lines, LABELS.overallScore, matchers.score),
+      cefrLevel: findLabeledField(lines, LABELS.overallCefrLevel, matchers.cefrLevel)
+    }
+  };
+
+  // The overall score is the mean of the module scores when it isn't printed
+  if (data.overallResults.score.status === 'not_found') {
+    const scores = MODULES
+      .map(module => data.testResults[module].score)
+      .filter(score => score.status === 'found');
+
+    if (scores.length === MODULES.length) {
+      const average = Math.round(scores.reduce((sum, score) => sum + score.value, 0) / scores.length);
+      const confidence = Math.min(...scores.map(score => score.confidence)) * 0.8;
+      data.overallResults.score = foundField(average, Math.round(confidence * 100) / 100, 'derived');
+    }
+  }
+
+  // Fall back to the CEFR band for the overall score
+  if (data.overallResults.cefrLevel.status === 'not_found' && data.overallResults.score.value !== null) {
+    const confidence = Math.round(data.overallResults.score.confidence * 0.8 * 100) / 100;
+    data.overallResults.cefrLevel = foundField(cefrLevelFromScore(data.overallResults.score.value), confidence, 'derived');
+  }
+
+  return data;
+}
+
+// Fix common OCR text merging issues in Oxford Test certificates
+function fixOxfordTestTextMerging(text) {
+  if (typeof text !== 'string') return text;
+
+  let fixedText = text;
+
+  // Fix specific Oxford Test patterns first (more targeted approach). Merges only ever join
+  // characters on the same line - line breaks carry the certificate's layout.
+  const specificFixes = [
+    // Fix "OVERALL SCOREOVERALL CEFR LEVEL" -> "OVERALL SCORE\nOVERALL CEFR LEVEL"
+    [/OVERALL SCOREOVERALL CEFR LEVEL/g, 'OVERALL SCORE\nOVERALL CEFR LEVEL'],
+
+    // Fix "DATE OF BIRTHTEST TAKER NUMBER" -> "DATE OF BIRTH\nTEST TAKER NUMBER"
+    [/DATE OF BIRTHTEST TAKER NUMBER/g, 'DATE OF BIRTH\nTEST TAKER NUMBER'],
+
+    // Fix "CERTIFICATE REFERENCE NUMBER" -> "CERTIFICATE REFERENCE NUMBER"
+    [/CERTIFICATE REFERENCE NUMBER/g, 'CERTIFICATE REFERENCE NUMBER'],
+
+    // Fix merged CEFR level and score patterns (e.g., "B1104" -> "B1 104")
+    [/([A-Z])[ \t]*(\d{2,3})/g, '$1$2'],
+
+    // Fix merged module score patterns -> separate lines
+    [/MODULESCORE([A-Z]\s*\d+\s*\([^)]+\))+/g, function(match) {
+      return match.replace(/([A-Z]\s*\d+\s*\([^)]+\))/g, '\n$1');
+    }],
+
+    // Fix "SCORECEFR" -> "SCORE\nCEFR"
+    [/SCORECEFR/g, 'SCORE\nCEFR'],
+
+    // Fix "B 2 B 2 B 2" -> "B2 B2 B2"
+    [/B[ \t]+2[ \t]+B[ \t]+2[ \t]+B[ \t]+2/g, 'B2 B2 B2'],
+    [/B[ \t]+1[ \t]+B[ \t]+1/g, 'B1 B1'],
+    [/A[ \t]+2[ \t]+A[ \t]+2/g, 'A2 A2'],
+
+    // Fix "Below A 2 Below A 2" -> "Below A2 Below A2"
+    [/Below[ \t]+A[ \t]+2[ \t]+Below[ \t]+A[ \t]+2/g, 'Below A2 Below A2'],
+
+    // Fix "Below B 2" -> "Below B2"
+    [/Below[ \t]+B[ \t]+2/g, 'Below B2'],
+
+    // Fix "C 1" -> "C1"
+    [/C[ \t]+1/g, 'C1'],
+
+    // Fix "A 2, B 1, and B 2" -> "A2, B1, and B2"
+    [/A[ \t]+2,[ \t]+B[ \t]+1,[ \t]+and[ \t]+B[ \t]+2/g, 'A2, B1, and B2'],
+
+    // Fix merged date and number patterns -> separate lines
+    [/(\d{1,2}[ \t]+[A-Za-z]+[ \t]+\d{4})(\d{6,})/g, '$1\n$2'],
+
+    // Fix merged CEFR level patterns (e.g., "B 2" -> "B2")
+    [/([A-Z])[ \t]+(\d+)/g, '$1$2'],
+
+    // Fix merged score range patterns -> separate lines
+    [/(\d+–\d+)\s+(\d+–\d+)/g, '$1\n$2'],
+  ];
+
+  // Apply specific fixes
+  specificFixes.forEach(([pattern, replacement]) => {
+    fixedText = fixedText.replace(pattern, replacement);
+  });
+
+  // General cleanup patterns
+  const generalFixes = [
+    // Fix merged CEFR level and score (e.g., "B1104" -> "B1 104")
+    [/([A-Z])[ \t]*(\d{2,3})/g, '$1$2'],
+
+    // Fix missing spaces after numbers
+    [/(\d)([A-Z])/g, '$1 $2'],
+
+    // Fix missing spaces before numbers
+    [/([A-Z])(\d)/g, '$1 $2'],
+
+    // Fix double spaces
+    [/[ \t]{2,}/g, ' '],
+
+    // Clean up multiple newlines
+    [/\n{3,}/g, '\n\n'],
+  ];
+
+  // Apply general fixes
+  generalFixes.forEach(([pattern, replacement]) => {
+    fixedText = fixedText.replace(pattern, replacement);
+  });
+
+  return fixedText;
+}
+
+// Template registered with the document template registry
+const oxfordTestTemplate = {
+  name: 'oxford-test',
+  detect: (text) => {
+    const lowerText = text.toLowerCase();
+    return lowerText.includes('oxford test') || lowerText.includes('cefr');
+  },
+  fixText: fixOxfordTestTextMerging,
+  extract: extractOxfordTestStructuredData
+};
+
+module.exports = {
+  fixOxfordTestTextMerging,
+  extractOxfordTestStructuredData,
+  oxfordTestTemplate
+};
@@ -0,0 +1,101 @@
+// Rasterise PDF pages locally so image-only (scanned) pages can be run through OCR
+
+const PDF_POINTS_PER_INCH = 72;
+const DEFAULT_RENDER_SCALE = 3; // 216 DPI - enough detail for Tesseract on typical scans
+
+let _pdfjs = null;
+let _canvas = null;
+
+// pdf.js and the canvas binding are only loaded when a scanned page actually needs rendering
+function loadRenderer() {
+  if (!_pdfjs) {
+    _canvas = require('@napi-rs/canvas');
+
+    // pdf.js expects these browser globals when rendering in Node
+    if (!globalThis.DOMMatrix) globalThis.DOMMatrix = _canvas.DOMMatrix;
+    if (!globalThis.Path2D) globalThis.Path2D = _canvas.Path2D;
+    if (!globalThis.ImageData) globalThis.ImageData = _canvas.ImageData;
+
+    _pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return { pdfjs: _pdfjs, canvas: _canvas };
+}
+
+// Canvas factory handed to pdf.js so it draws onto @napi-rs/canvas instead of a DOM canvas
+class NodeCanvasFactory {
+  constructor(createCanvas) {
+    this.createCanvas = createCanvas;
+  }
+
+  create(width, height) {
+    const canvas = this.createCanvas(Math.ceil(width), Math.ceil(height));
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = Math.ceil(width);
+    canvasAndContext.canvas.height = Math.ceil(height);
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// Open a PDF for rendering its 1-based pages to PNG buffers one at a time, so a long scan only
+// holds the pages being recognised. Call close() once done with it.
+async function openPdfRenderer(dataBuffer, options = {}) {
+  const { pdfjs, canvas } = loadRenderer();
+  const scale = options.scale || DEFAULT_RENDER_SCALE;
+  const canvasFactory = new NodeCanvasFactory(canvas.createCanvas);
+
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(dataBuffer),
+    canvasFactory,
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  async function renderPage(pageNumber) {
+    if (pageNumber < 1 || pageNumber > doc.numPages) {
+      throw new Error(`PDF has no page ${pageNumber} (it has ${doc.numPages})`);
+    }
+
+    const page = await doc.getPage(pageNumber);
+    const viewport = page.getViewport({ scale });
+    const target = canvasFactory.create(viewport.width, viewport.height);
+
+    try {
+      // Scans are usually drawn on a white page; start from white rather than transparent
+      target.context.fillStyle = '#ffffff';
+      target.context.fillRect(0, 0, target.canvas.width, target.canvas.height);
+
+      await page.render({ canvasContext: target.context, viewport, canvasFactory }).promise;
+
+      return {
+        pageNumber,
+        image: await target.canvas.encode('png'),
+        width: target.canvas.width,
+        height: target.canvas.height,
+        dpi: Math.round(PDF_POINTS_PER_INCH * scale)
+      };
+    } finally {
+      canvasFactory.destroy(target);
+      page.cleanup();
+    }
+  }
+
+  return {
+    numPages: doc.numPages,
+    renderPage,
+    close: () => doc.destroy()
+  };
+}
+
+module.exports = {
+  openPdfRenderer
+};
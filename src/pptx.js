@@ -0,0 +1,134 @@
+// Text from PowerPoint (.pptx) decks, one page per slide in presentation order. A slide's text is
+// its shapes' paragraphs (tables as lines of tab-separated cells), followed by the speaker notes.
+// Hyperlinks (a:hlinkClick) are resolved through the slide's relationships and returned as links.
+
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+async function readXml(zip, name) {
+  const file = zip.file(name);
+  if (!file) return null;
+  return new DOMParser().parseFromString(await file.async('string'), 'text/xml');
+}
+
+// A part's relationships as { id: { type, target } }, targets resolved to paths inside the package
+async function readRelationships(zip, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const document = await readXml(zip, relsName);
+  const relationships = {};
+  if (!document) return relationships;
+
+  Array.from(document.getElementsByTagName('Relationship')).forEach(relationship => {
+    const target = relationship.getAttribute('Target');
+    const external = relationship.getAttribute('TargetMode') === 'External';
+    relationships[relationship.getAttribute('Id')] = {
+      type: (relationship.getAttribute('Type') || '').split('/').pop(),
+      target: external ? target : path.posix.join(path.posix.dirname(partName), target)
+    };
+  });
+  return relationships;
+}
+
+function elementsByName(node, name) {
+  return Array.from(node.getElementsByTagName(name));
+}
+
+// Text of one a:p paragraph, collecting its hyperlinks
+function paragraphText(paragraph, relationships, links) {
+  let text = '';
+  Array.from(paragraph.childNodes).forEach(child => {
+    if (child.nodeName === 'a:br') {
+      text += '\n';
+    } else if (child.nodeName === 'a:r' || child.nodeName === 'a:fld') {
+      const runText = elementsByName(child, 'a:t').map(node => node.textContent).join('');
+      const link = elementsByName(child, 'a:hlinkClick')[0];
+      const relationship = link && relationships[link.getAttribute('r:id')];
+      if (relationship && relationship.type === 'hyperlink') {
+        links.push({ url: relationship.target, text: runText.trim(), source: 'hyperlink' });
+      }
+      text += runText;
+    }
+  });
+  return text;
+}
+
+// Shapes' text bodies and tables in the order they appear on the slide
+function shapeTreeText(node, relationships, links) {
+  const blocks = [];
+  Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType !== 1) return;
+
+    if (child.nodeName === 'p:sp') {
+      const body = elementsByName(child, 'p:txBody')[0];
+      if (!body) return;
+      const text = elementsByName(body, 'a:p')
+        .map(paragraph => paragraphText(paragraph, relationships, links).trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+      if (text) blocks.push(text);
+    } else if (child.nodeName === 'p:graphicFrame') {
+      elementsByName(child, 'a:tbl').forEach(table => {
+        blocks.push(elementsByName(table, 'a:tr').map(row => elementsByName(row, 'a:tc')
+          .map(cell => elementsByName(cell, 'a:p')
+            .map(paragraph => paragraphText(paragraph, relationships, links).trim())
+            .filter(line => line.length > 0)
+            .join(' '))
+          .join('\t')).join('\n'));
+      });
+    } else if (child.nodeName === 'p:grpSp') {
+      blocks.push(...shapeTreeText(child, relationships, links));
+    }
+  });
+  return blocks;
+}
+
+// Speaker notes, without the slide image and slide number placeholders
+async function notesText(zip, notesName) {
+  const document = await readXml(zip, notesName);
+  if (!document) return '';
+
+  return elementsByName(document, 'p:sp')
+    .filter(shape => {
+      const placeholder = elementsByName(shape, 'p:ph')[0];
+      return placeholder && placeholder.getAttribute('type') === 'body';
+    })
+    .map(shape => elementsByName(shape, 'a:p').map(paragraph => paragraphText(paragraph, {}, []).trim()).join('\n'))
+    .join('\n')
+    .trim();
+}
+
+async function extractPptxSlides(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentation = await readXml(zip, 'ppt/presentation.xml');
+  if (!presentation) {
+    throw new Error('Invalid .pptx file: no ppt/presentation.xml');
+  }
+
+  const presentationRels = await readRelationships(zip, 'ppt/presentation.xml');
+  const slideNames = elementsByName(presentation, 'p:sldId')
+    .map(slide => presentationRels[slide.getAttribute('r:id')])
+    .filter(relationship => relationship && zip.file(relationship.target))
+    .map(relationship => relationship.target);
+
+  const slides = [];
+  for (const slideName of slideNames) {
+    const slide = await readXml(zip, slideName);
+    const relationships = await readRelationships(zip, slideName);
+    const links = [];
+    const tree = elementsByName(slide, 'p:spTree')[0];
+    const blocks = tree ? shapeTreeText(tree, relationships, links) : [];
+
+    const notes = Object.values(relationships).find(relationship => relationship.type === 'notesSlide');
+    const notesContent = notes ? await notesText(zip, notes.target) : '';
+    if (notesContent) blocks.push(`Notes: ${notesContent}`);
+
+    slides.push({ text: blocks.join('\n\n'), links });
+  }
+
+  return slides;
+}
+
+module.exports = {
+  extractPptxSlides
+};
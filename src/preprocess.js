@@ -0,0 +1,350 @@
+// Image preprocessing applied before Tesseract sees an image - dark-mode screenshots and small UI
+// fonts recognise far better once they are grayscale, dark-on-light, enlarged and binarised.
+//
+// options.preprocess is 'auto' (or true) for the default pipeline, or a list of steps, each either
+// a name or 'name:argument' string, or a { step, ...settings } object:
+//
+//   grayscale                      Convert to luminance
+//   invert     ('auto' | 'always') Invert dark-background images (auto) or always
+//   upscale    (factor, default 2) Enlarge so small fonts have enough pixels per character
+//   denoise                        3x3 median filter - removes speckles and JPEG noise
+//   threshold  (0-255 or 'otsu')   Binarise to black and white (Otsu's method by default)
+//   deskew     (maxAngle, deg 10)  Detect and undo page rotation
+//
+// options.preprocessDebugDir saves the image after every step, for tuning the pipeline.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadCanvas } = require('./imageRegions');
+
+const PRESETS = {
+  auto: ['grayscale', 'invert', 'upscale', 'threshold']
+};
+
+const STEPS = {
+  grayscale,
+  invert,
+  upscale,
+  denoise,
+  threshold,
+  deskew
+};
+
+// Normalise options.preprocess into a list of { step, ...settings }
+function resolvePipeline(preprocess) {
+  if (!preprocess) return [];
+
+  let steps = preprocess;
+  if (preprocess === true) steps = 'auto';
+  if (typeof steps === 'string') {
+    steps = PRESETS[steps] || steps.split(',').map(step => step.trim()).filter(step => step.length > 0);
+  }
+  if (!Array.isArray(steps)) {
+    throw new Error('preprocess must be true, a preset name or a list of steps');
+  }
+
+  return steps.map(step => {
+    const settings = typeof step === 'string' ? parseStep(step) : { ...step };
+    if (!STEPS[settings.step]) {
+      throw new Error(`Unknown preprocessing step: ${settings.step} (expected ${Object.keys(STEPS).join(', ')})`);
+    }
+    return settings;
+  });
+}
+
+// 'upscale:3' -> { step: 'upscale', argument: '3' }
+function parseStep(step) {
+  const [name, argument] = step.split(':');
+  return argument === undefined ? { step: name } : { step: name, argument };
+}
+
+function luminance(pixels, index) {
+  return 0.299 * pixels[index] + 0.587 * pixels[index + 1] + 0.114 * pixels[index + 2];
+}
+
+// Run every pixel through fn(value) -> value, writing the result to all three colour channels
+function mapPixels(context, width, height, fn) {
+  const imageData = context.getImageData(0, 0, width, height);
+  const pixels = imageData.data;
+  for (let i = 0; i < pixels.length; i += 4) {
+    const value = fn(luminance(pixels, i));
+    pixels[i] = pixels[i + 1] = pixels[i + 2] = value;
+  }
+  context.putImageData(imageData, 0, 0);
+}
+
+function meanLuminance(context, width, height) {
+  const pixels = context.getImageData(0, 0, width, height).data;
+  let total = 0;
+  for (let i = 0; i < pixels.length; i += 4) {
+    total += luminance(pixels, i);
+  }
+  return total / (pixels.length / 4);
+}
+
+// Otsu's method - the threshold that best separates the luminance histogram into two classes
+function otsuThreshold(context, width, height) {
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < pixels.length; i += 4) {
+    histogram[Math.round(luminance(pixels, i))]++;
+  }
+
+  const total = pixels.length / 4;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  let best = { threshold: 128, variance: -1 };
+
+  for (let value = 0; value < 256; value++) {
+    backgroundCount += histogram[value];
+    if (backgroundCount === 0 || backgroundCount === total) continue;
+
+    backgroundSum += value * histogram[value];
+    const foregroundCount = total - backgroundCount;
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (sum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+
+    if (variance > best.variance) best = { threshold: value, variance };
+  }
+
+  return best.threshold;
+}
+
+// Each step takes the working { canvas, context, width, height } and returns the next one, plus
+// mapPoint for steps that move pixels (so OCR coordinates can be mapped back to the input image)
+
+function grayscale(state) {
+  mapPixels(state.context, state.width, state.height, value => value);
+  return state;
+}
+
+function invert(state, settings) {
+  const mode = settings.mode || settings.argument || 'auto';
+  if (mode === 'auto' && meanLuminance(state.context, state.width, state.height) >= 128) {
+    return state;
+  }
+  mapPixels(state.context, state.width, state.height, value => 255 - value);
+  return state;
+}
+
+function upscale(state, settings) {
+  const factor = parseFloat(settings.factor || settings.argument || 2);
+  if (!(factor > 0)) {
+    throw new Error(`Invalid upscale factor: ${settings.factor || settings.argument}`);
+  }
+  if (factor === 1) return state;
+
+  const { createCanvas } = loadCanvas();
+  const width = Math.round(state.width * factor);
+  const height = Math.round(state.height * factor);
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(state.canvas, 0, 0, width, height);
+
+  return {
+    canvas,
+    context,
+    width,
+    height,
+    scale: factor,
+    mapPoint: (x, y) => ({ x: x / factor, y: y / factor })
+  };
+}
+
+function denoise(state) {
+  const { width, height } = state;
+  const imageData = state.context.getImageData(0, 0, width, height);
+  const pixels = imageData.data;
+  const source = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < source.length; i++) {
+    source[i] = luminance(pixels, i * 4);
+  }
+
+  const neighbourhood = new Uint8ClampedArray(9);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const row = Math.min(height - 1, Math.max(0, y + dy)) * width;
+        for (let dx = -1; dx <= 1; dx++) {
+          neighbourhood[count++] = source[row + Math.min(width - 1, Math.max(0, x + dx))];
+        }
+      }
+      neighbourhood.sort();
+
+      const index = (y * width + x) * 4;
+      pixels[index] = pixels[index + 1] = pixels[index + 2] = neighbourhood[4];
+    }
+  }
+
+  state.context.putImageData(imageData, 0, 0);
+  return state;
+}
+
+function threshold(state, settings) {
+  const requested = settings.value !== undefined ? settings.value : (settings.argument || 'otsu');
+  const level = requested === 'otsu'
+    ? otsuThreshold(state.context, state.width, state.height)
+    : parseFloat(requested);
+  if (!Number.isFinite(level)) {
+    throw new Error(`Invalid threshold: ${requested}`);
+  }
+
+  mapPixels(state.context, state.width, state.height, value => (value > level ? 255 : 0));
+  return state;
+}
+
+// Find the rotation that makes dark pixels line up in rows (the sharpest row histogram)
+function detectSkewAngle(state, maxAngle) {
+  const { width, height } = state;
+  const pixels = state.context.getImageData(0, 0, width, height).data;
+  const level = otsuThreshold(state.context, width, height);
+
+  // A sample of the dark pixels is plenty to measure the angle
+  const points = [];
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / 200000)));
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      if (luminance(pixels, (y * width + x) * 4) <= level) points.push([x, y]);
+    }
+  }
+  if (points.length < 50) return 0;
+
+  let best = { angle: 0, score: -1 };
+  for (let angle = -maxAngle; angle <= maxAngle; angle += 0.5) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Map();
+
+    points.forEach(([x, y]) => {
+      const row = Math.round(x * sin + y * cos);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    });
+
+    let score = 0;
+    rows.forEach(count => { score += count * count; });
+    if (score > best.score) best = { angle, score };
+  }
+
+  return best.angle;
+}
+
+function deskew(state, settings) {
+  const maxAngle = parseFloat(settings.maxAngle || settings.argument || 10);
+  const angle = detectSkewAngle(state, maxAngle);
+  if (Math.abs(angle) < 0.5) return state;
+
+  const { createCanvas } = loadCanvas();
+  const { width, height } = state;
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  const radians = (angle * Math.PI) / 180;
+  const centreX = width / 2;
+  const centreY = height / 2;
+
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.translate(centreX, centreY);
+  context.rotate(radians);
+  context.translate(-centreX, -centreY);
+  context.drawImage(state.canvas, 0, 0);
+  context.setTransform(1, 0, 0, 1, 0, 0);
+
+  // Rotate the straightened coordinates back onto the input image
+  const sin = Math.sin(-radians);
+  const cos = Math.cos(-radians);
+  return {
+    canvas,
+    context,
+    width,
+    height,
+    angle,
+    mapPoint: (x, y) => ({
+      x: centreX + (x - centreX) * cos - (y - centreY) * sin,
+      y: centreY + (x - centreX) * sin + (y - centreY) * cos
+    })
+  };
+}
+
+async function saveDebugImage(state, debugDir, name) {
+  await fs.ensureDir(debugDir);
+  const filePath = path.join(debugDir, name);
+  await fs.writeFile(filePath, await state.canvas.encode('png'));
+  return filePath;
+}
+
+// Debug images are named after the file; Buffers (and streams, PDF pages and image frames read into
+// them) get options.fileName, or 'image', plus a hash of their content, so the images of different
+// inputs never overwrite each other.
+function debugImageName(image, options, sourceName) {
+  if (typeof sourceName === 'string') return path.basename(sourceName, path.extname(sourceName));
+
+  const base = options.fileName ? path.basename(options.fileName, path.extname(options.fileName)) : 'image';
+  const hash = crypto.createHash('sha1').update(Buffer.isBuffer(image) ? image : String(image)).digest('hex').slice(0, 8);
+  return `${base}-${hash}`;
+}
+
+// Run the preprocessing pipeline over an image (path or Buffer). Returns the processed PNG, the
+// overall scale factor, the deskew rotation in degrees and mapPoint(x, y) from processed coordinates
+// back to the input image.
+// sourceName names the debug images when the image itself is a Buffer.
+async function preprocessImage(image, options = {}, sourceName = image) {
+  const pipeline = resolvePipeline(options.preprocess);
+  if (pipeline.length === 0) {
+    return { image, scale: 1, angle: 0, mapPoint: (x, y) => ({ x, y }), debugImages: [] };
+  }
+
+  const { loadImage, createCanvas } = loadCanvas();
+  const source = await loadImage(image);
+  const canvas = createCanvas(source.width, source.height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, source.width, source.height);
+  context.drawImage(source, 0, 0);
+
+  let state = { canvas, context, width: source.width, height: source.height };
+  let scale = 1;
+  let angle = 0;
+  const mappings = [];
+  const debugImages = [];
+  const debugName = options.preprocessDebugDir ? debugImageName(image, options, sourceName) : null;
+
+  if (options.preprocessDebugDir) {
+    debugImages.push(await saveDebugImage(state, options.preprocessDebugDir, `${debugName}-00-original.png`));
+  }
+
+  for (let i = 0; i < pipeline.length; i++) {
+    const settings = pipeline[i];
+    const next = STEPS[settings.step](state, settings);
+
+    if (next.mapPoint) mappings.unshift(next.mapPoint);
+    if (next.scale) scale *= next.scale;
+    if (next.angle) angle += next.angle;
+    state = { canvas: next.canvas, context: next.context, width: next.width, height: next.height };
+
+    if (options.preprocessDebugDir) {
+      const name = `${debugName}-${String(i + 1).padStart(2, '0')}-${settings.step}.png`;
+      debugImages.push(await saveDebugImage(state, options.preprocessDebugDir, name));
+    }
+  }
+
+  return {
+    image: await state.canvas.encode('png'),
+    scale,
+    angle,
+    // Undo the geometric steps from last to first
+    mapPoint: (x, y) => mappings.reduce((point, mapPoint) => mapPoint(point.x, point.y), { x, y }),
+    debugImages
+  };
+}
+
+module.exports = {
+  preprocessImage,
+  resolvePipeline
+};
@@ -0,0 +1,233 @@
+// Geometry-based reading order. Positioned words (Tesseract words, or PDF text items) are grouped
+// into rows by their vertical position and rows are split into segments at wide horizontal gaps.
+// Runs of rows that share the same gutters are read as columns - each column top to bottom, columns
+// left to right - and everything else is read row by row.
+//
+// A word looks like { text, bbox: { x0, y0, x1, y1 } } with y growing down the page.
+
+const DEFAULT_LAYOUT_OPTIONS = {
+  columnGap: 2,       // Minimum gap between two segments of a row, in line heights
+  minColumnLines: 3,  // Consecutive rows a gutter must run through before it is treated as a column break
+  minColumnWords: 3,  // Average words per segment in every column - shorter cells are read as table rows
+  maxRowGap: 2        // Vertical gap, in line heights, that ends a run of columns
+};
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function boxHeight(bbox) {
+  return Math.max(1, bbox.y1 - bbox.y0);
+}
+
+function unionBox(boxes) {
+  return {
+    x0: Math.min(...boxes.map(box => box.x0)),
+    y0: Math.min(...boxes.map(box => box.y0)),
+    x1: Math.max(...boxes.map(box => box.x1)),
+    y1: Math.max(...boxes.map(box => box.y1))
+  };
+}
+
+// Group words into rows - a word joins a row when it overlaps the row's first word by at least half
+// its height. Comparing with the first word (not the whole row) stops offset columns chaining rows.
+function groupRows(words) {
+  const sorted = [...words].sort((a, b) => (a.bbox.y0 + a.bbox.y1) - (b.bbox.y0 + b.bbox.y1));
+  const rows = [];
+
+  sorted.forEach(word => {
+    const row = rows.slice(-2).find(candidate => {
+      const overlap = Math.min(candidate.first.y1, word.bbox.y1) - Math.max(candidate.first.y0, word.bbox.y0);
+      return overlap >= 0.5 * Math.min(boxHeight(candidate.first), boxHeight(word.bbox));
+    });
+
+    if (row) {
+      row.words.push(word);
+    } else {
+      rows.push({ first: word.bbox, words: [word] });
+    }
+  });
+
+  return rows.map(row => {
+    const rowWords = row.words.sort((a, b) => a.bbox.x0 - b.bbox.x0);
+    return { words: rowWords, bbox: unionBox(rowWords.map(word => word.bbox)) };
+  });
+}
+
+// Split a row into segments wherever the gap between two words is at least minGap
+function splitSegments(row, minGap) {
+  const segments = [];
+  let current = [];
+
+  row.words.forEach(word => {
+    const previous = current[current.length - 1];
+    if (previous && word.bbox.x0 - previous.bbox.x1 >= minGap) {
+      segments.push(current);
+      current = [];
+    }
+    current.push(word);
+  });
+  if (current.length > 0) segments.push(current);
+
+  return segments.map(segmentWords => ({
+    text: segmentWords.map(word => word.text).join(' ').replace(/\s+/g, ' ').trim(),
+    bbox: unionBox(segmentWords.map(word => word.bbox))
+  }));
+}
+
+// The gaps between a row's segments
+function rowGutters(segments) {
+  const gutters = [];
+  for (let i = 1; i < segments.length; i++) {
+    gutters.push({ x0: segments[i - 1].bbox.x1, x1: segments[i].bbox.x0 });
+  }
+  return gutters;
+}
+
+// Narrow a region's gutters to the space a new row leaves free. Returns null when any gutter is
+// blocked (or squeezed below minWidth) - the row then belongs to a different layout.
+function narrowGutters(gutters, segments, minWidth) {
+  const narrowed = [];
+
+  for (const gutter of gutters) {
+    let { x0, x1 } = gutter;
+
+    for (const segment of segments) {
+      if (segment.bbox.x1 <= x0 || segment.bbox.x0 >= x1) continue;
+      if (segment.bbox.x0 <= x0 && segment.bbox.x1 < x1) {
+        x0 = segment.bbox.x1;
+      } else if (segment.bbox.x1 >= x1 && segment.bbox.x0 > x0) {
+        x1 = segment.bbox.x0;
+      } else {
+        return null;
+      }
+    }
+
+    if (x1 - x0 < minWidth) return null;
+    narrowed.push({ x0, x1 });
+  }
+
+  return narrowed;
+}
+
+// Group consecutive rows that share the same gutters. A wide vertical gap also ends a region, so
+// text below a set of columns isn't read as the end of whichever column it sits under.
+function buildRegions(rows, lineHeight, maxRowGap) {
+  const regions = [];
+  let current = null;
+
+  rows.forEach(row => {
+    const lastRow = current && current.rows[current.rows.length - 1];
+    const gutters = current && current.gutters.length > 0 && row.bbox.y0 - lastRow.bbox.y1 <= maxRowGap
+      ? narrowGutters(current.gutters, row.segments, lineHeight / 2)
+      : null;
+
+    if (gutters) {
+      current.rows.push(row);
+      current.gutters = gutters;
+      return;
+    }
+
+    current = { rows: [row], gutters: rowGutters(row.segments) };
+    regions.push(current);
+  });
+
+  return regions;
+}
+
+// Split a region's segments into columns at its gutters
+function splitColumns(region) {
+  const columns = region.gutters.map(() => []).concat([[]]);
+
+  region.rows.forEach(row => {
+    const columnSegments = columns.map(() => []);
+    row.segments.forEach(segment => {
+      const centre = (segment.bbox.x0 + segment.bbox.x1) / 2;
+      const index = region.gutters.filter(gutter => centre >= gutter.x1).length;
+      columnSegments[index].push(segment);
+    });
+    columnSegments.forEach((segments, index) => {
+      if (segments.length > 0) columns[index].push({ segments, bbox: unionBox(segments.map(segment => segment.bbox)) });
+    });
+  });
+
+  return columns.filter(column => column.length > 0);
+}
+
+function isColumnRegion(region, options) {
+  if (region.gutters.length === 0 || region.rows.length < options.minColumnLines) return false;
+
+  // Tables share gutters too - only read column by column when every column holds running text
+  return splitColumns(region).every(column => {
+    const segments = column.flatMap(row => row.segments);
+    const words = segments.reduce((total, segment) => total + segment.text.split(' ').length, 0);
+    return words / segments.length >= options.minColumnWords;
+  });
+}
+
+// The vertical gap above which rows are a paragraph apart. Line spacing often exceeds the height of
+// the words themselves, so this is measured against the page's usual gap between rows: clearly
+// wider than that (by half the gap, and at least half a line) is a break.
+function paragraphGap(rows, lineHeight) {
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) {
+    const gap = rows[i].bbox.y0 - rows[i - 1].bbox.y1;
+    if (gap > 0) gaps.push(gap);
+  }
+  if (gaps.length === 0) return lineHeight;
+
+  const usualGap = median(gaps);
+  return Math.max(1.5 * usualGap, usualGap + lineHeight / 2);
+}
+
+// Join rows top to bottom, leaving a blank line where the vertical gap suggests a paragraph break
+function joinRows(rows, breakGap) {
+  let text = '';
+  rows.forEach((row, index) => {
+    if (index > 0) {
+      const gap = row.bbox.y0 - rows[index - 1].bbox.y1;
+      text += gap > breakGap ? '\n\n' : '\n';
+    }
+    text += row.segments.map(segment => segment.text).join(' ');
+  });
+  return text;
+}
+
+// Order positioned words into reading-order text
+function orderWordsByLayout(words, options = {}) {
+  const layoutOptions = { ...DEFAULT_LAYOUT_OPTIONS, ...options };
+  const positioned = (words || []).filter(word => word && word.bbox && String(word.text || '').trim().length > 0);
+  if (positioned.length === 0) return '';
+
+  const lineHeight = median(positioned.map(word => boxHeight(word.bbox)));
+  const rows = groupRows(positioned).map(row => ({
+    ...row,
+    segments: splitSegments(row, layoutOptions.columnGap * lineHeight)
+  }));
+
+  const breakGap = paragraphGap(rows, lineHeight);
+  const blocks = [];
+  buildRegions(rows, lineHeight, layoutOptions.maxRowGap * lineHeight).forEach(region => {
+    if (isColumnRegion(region, layoutOptions)) {
+      splitColumns(region).forEach(column => blocks.push({ text: joinRows(column, breakGap), rows: column, column: true }));
+    } else {
+      blocks.push({ text: joinRows(region.rows, breakGap), rows: region.rows, column: false });
+    }
+  });
+
+  // Columns are separated by a blank line; consecutive row-wise regions only when there is a gap
+  return blocks.reduce((text, block, index) => {
+    if (index === 0) return block.text;
+
+    const previous = blocks[index - 1];
+    const gap = block.rows[0].bbox.y0 - previous.rows[previous.rows.length - 1].bbox.y1;
+    const separator = block.column || previous.column || gap > breakGap ? '\n\n' : '\n';
+    return text + separator + block.text;
+  }, '');
+}
+
+module.exports = {
+  orderWordsByLayout
+};
@@ -0,0 +1,199 @@
+// Cache of OCR results, so repeated lookups against the same screenshot don't re-run recognition.
+// Results are keyed by a hash of the image's bytes plus the options that change what Tesseract
+// reads, and kept in memory (most recently used first) and on disk (one JSON file per result, so
+// later runs and other processes share them). Both stores have a size limit and entries expire
+// after ttl milliseconds. Values are stored serialised, so every hit is a fresh copy the caller
+// can modify.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// The files the cache writes - results named by their key, and the temporary files they are written
+// through - so pruning and clearing never touch anything else kept in the same folder
+const RESULT_FILE = /^[0-9a-f]{64}\.json$/;
+const TEMPORARY_FILE = /^[0-9a-f]{64}\.json\.\d+\.[0-9a-f]{8}\.tmp$/;
+
+const DEFAULT_CACHE_OPTIONS = {
+  memorySize: 100 * 1024 * 1024,          // Bytes of results kept in memory (0 turns it off)
+  diskSize: 250 * 1024 * 1024,            // Bytes of results kept on disk (0 turns it off)
+  directory: './shared-objects/ocr-cache', // Where results are kept on disk
+  ttl: 7 * 24 * 60 * 60 * 1000            // How long a result stays valid (ms)
+};
+
+// A key for content (a Buffer) recognised with the given settings
+function createCacheKey(content, settings) {
+  return crypto.createHash('sha256')
+    .update(content)
+    .update('\0')
+    .update(JSON.stringify(settings))
+    .digest('hex');
+}
+
+function createResultCache(options = {}) {
+  const settings = { ...DEFAULT_CACHE_OPTIONS };
+  Object.keys(DEFAULT_CACHE_OPTIONS).forEach(key => {
+    if (options[key] !== undefined) settings[key] = options[key];
+  });
+  const memorySize = Math.max(0, Number(settings.memorySize) || 0);
+  const diskSize = settings.directory ? Math.max(0, Number(settings.diskSize) || 0) : 0;
+  const ttl = Number(settings.ttl) || Infinity;
+
+  const memory = new Map();
+  let memoryBytes = 0;
+  // Bytes on disk, counted on the first write and kept up to date from there
+  let diskBytes = null;
+  const stats = { hits: 0, misses: 0 };
+
+  const fileFor = (key) => path.join(settings.directory, `${key}.json`);
+
+  function forget(key) {
+    const entry = memory.get(key);
+    if (entry) {
+      memoryBytes -= entry.size;
+      memory.delete(key);
+    }
+  }
+
+  function remember(key, json, expires) {
+    const size = Buffer.byteLength(json);
+    forget(key);
+    if (size > memorySize) return;
+
+    memory.set(key, { json, size, expires });
+    memoryBytes += size;
+
+    // Maps keep insertion order, so the first entry is the least recently used
+    for (const [oldestKey] of memory) {
+      if (memoryBytes <= memorySize) break;
+      forget(oldestKey);
+    }
+  }
+
+  async function readDisk(key) {
+    if (diskSize === 0) return null;
+    const file = fileFor(key);
+
+    try {
+      const stat = await fs.stat(file);
+      if (Date.now() - stat.mtimeMs > ttl) {
+        await fs.remove(file);
+        return null;
+      }
+      return { json: await fs.readFile(file, 'utf-8'), expires: stat.mtimeMs + ttl };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Drop expired results, then the oldest ones until the folder is back under its size limit
+  async function pruneDisk() {
+    if (!(await fs.pathExists(settings.directory))) {
+      diskBytes = 0;
+      return;
+    }
+
+    const names = (await fs.readdir(settings.directory)).filter(name => RESULT_FILE.test(name));
+    const files = (await Promise.all(names.map(async name => {
+      const file = path.join(settings.directory, name);
+      const stat = await fs.stat(file).catch(() => null);
+      return stat && { file, size: stat.size, modified: stat.mtimeMs };
+    }))).filter(Boolean).sort((a, b) => a.modified - b.modified);
+
+    diskBytes = files.reduce((total, file) => total + file.size, 0);
+    for (const file of files) {
+      if (diskBytes <= diskSize && Date.now() - file.modified <= ttl) continue;
+      await fs.remove(file.file).catch(() => {});
+      diskBytes -= file.size;
+    }
+  }
+
+  async function writeDisk(key, json) {
+    // A result bigger than the whole cache is never stored
+    const size = Buffer.byteLength(json);
+    if (size <= diskSize) {
+      // Write then rename, so a process reading the cache never sees half a file
+      const file = fileFor(key);
+      const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.ensureDir(settings.directory);
+      await fs.writeFile(temporary, json);
+      await fs.move(temporary, file, { overwrite: true });
+    }
+
+    if (diskBytes === null || diskBytes + size > diskSize) {
+      await pruneDisk();
+    } else {
+      diskBytes += size;
+    }
+  }
+
+  // The cached value for key, or undefined
+  async function get(key) {
+    const entry = memory.get(key);
+    if (entry && entry.expires > Date.now()) {
+      // Move it to the most recently used end
+      memory.delete(key);
+      memory.set(key, entry);
+      stats.hits++;
+      return JSON.parse(entry.json);
+    }
+    if (entry) forget(key);
+
+    const stored = await readDisk(key);
+    if (stored) {
+      try {
+        const value = JSON.parse(stored.json);
+        if (memorySize > 0) remember(key, stored.json, stored.expires);
+        stats.hits++;
+        return value;
+      } catch (error) {
+        // A damaged file is a miss - it's overwritten when the result is stored again
+      }
+    }
+
+    stats.misses++;
+    return undefined;
+  }
+
+  // Store value under key. A cache that can't be written (read-only folder, full disk) only warns,
+  // since the result itself is fine.
+  async function set(key, value) {
+    const json = JSON.stringify(value);
+    if (memorySize > 0) remember(key, json, Date.now() + ttl);
+
+    if (diskSize > 0) {
+      try {
+        await writeDisk(key, json);
+      } catch (error) {
+        console.warn('Failed to write OCR cache:', error.message);
+      }
+    }
+  }
+
+  // Empty both stores
+  async function clear() {
+    memory.clear();
+    memoryBytes = 0;
+    if (diskSize > 0 && await fs.pathExists(settings.directory)) {
+      const names = (await fs.readdir(settings.directory))
+        .filter(name => RESULT_FILE.test(name) || TEMPORARY_FILE.test(name));
+      await Promise.all(names.map(name => fs.remove(path.join(settings.directory, name))));
+    }
+    diskBytes = 0;
+  }
+
+  return {
+    get,
+    set,
+    clear,
+    get stats() {
+      return { ...stats, memoryEntries: memory.size, memoryBytes };
+    }
+  };
+}
+
+module.exports = {
+  createResultCache,
+  createCacheKey,
+  DEFAULT_CACHE_OPTIONS
+};
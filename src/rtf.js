@@ -0,0 +1,255 @@
+// RTF to text. A small tokenizer walks the groups, control words and text of the document:
+// destinations that hold no body text (font table, stylesheet, pictures, ...) are skipped,
+// \uN and \'hh escapes are decoded (\'hh through the document's or the current font's code page),
+// \par / \line become line breaks and table cells / rows become tabs / lines. HYPERLINK fields are
+// returned as links with their displayed text.
+
+// Destinations whose content is never document text
+const SKIPPED_DESTINATIONS = new Set([
+  'author', 'colortbl', 'comment', 'company', 'datastore', 'docvar', 'falt', 'filetbl', 'footer',
+  'footerf', 'footerl', 'footerr', 'footnote', 'generator', 'header', 'headerf', 'headerl', 'headerr',
+  'info', 'keywords', 'latentstyles', 'listoverridetable', 'listtable', 'mmathPr', 'nonshppict',
+  'object', 'operator', 'panose', 'pgdsctbl', 'pict', 'private', 'revtbl', 'rsidtbl', 'stylesheet',
+  'subject', 'themedata', 'title', 'xmlnstbl'
+]);
+
+// Control words that stand for a character
+const SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n',
+  tab: '\t',
+  cell: '\t',
+  nestcell: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' '
+};
+
+// Control symbols - a backslash followed by one non-letter
+const CONTROL_SYMBOLS = {
+  '\\': '\\',
+  '{': '{',
+  '}': '}',
+  '~': '\u00a0',
+  '_': '-',
+  '\n': '\n',
+  '\r': '\n'
+};
+
+// \fcharsetN -> Windows code page
+const CHARSET_CODE_PAGES = {
+  0: 1252, 77: 10000, 128: 932, 129: 949, 134: 936, 136: 950, 161: 1253, 162: 1254,
+  163: 1258, 177: 1255, 178: 1256, 186: 1257, 204: 1251, 222: 874, 238: 1250
+};
+
+const CODE_PAGE_ENCODINGS = {
+  437: 'ibm437', 850: 'ibm850', 866: 'ibm866', 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr',
+  950: 'big5', 10000: 'macintosh'
+};
+
+const decoders = {};
+
+// Decode code-page bytes, falling back to Latin-1 for code pages this Node build can't decode
+function decodeBytes(bytes, codePage) {
+  if (!(codePage in decoders)) {
+    try {
+      decoders[codePage] = new TextDecoder(CODE_PAGE_ENCODINGS[codePage] || `windows-${codePage}`);
+    } catch (error) {
+      decoders[codePage] = null;
+    }
+  }
+
+  const decoder = decoders[codePage];
+  return decoder ? decoder.decode(Uint8Array.from(bytes)) : Buffer.from(bytes).toString('latin1');
+}
+
+const CONTROL_WORD = /\\([a-zA-Z]{1,32})(-?\d{1,10})? ?/y;
+
+// Parse RTF source (read as Latin-1, one character per byte) into { text, links }
+function parseRtf(rtf) {
+  const fonts = {};
+  const stack = [];
+  const links = [];
+  let codePage = 1252;
+  let text = '';
+  let bytes = [];
+  let skipChars = 0;          // \uN fallback characters still to skip
+  let ignorable = false;      // Set by \* - the next destination may be skipped if unknown
+  let fontDefinition = null;  // Font number being defined in the font table
+  let state = { skip: false, destination: null, uc: 1, font: null, field: null, ownsField: false, fieldResult: false };
+
+  // Where text goes depends on the destination: nowhere, the field instruction, or the document
+  const write = (chars) => {
+    if (state.skip || state.destination === 'fonttbl') return;
+    if (state.destination === 'fldinst') {
+      if (state.field) state.field.instruction += chars;
+      return;
+    }
+    text += chars;
+    if (state.field && state.fieldResult) state.field.result += chars;
+  };
+
+  const flushBytes = () => {
+    if (bytes.length === 0) return;
+    const fontCodePage = state.font !== null ? fonts[state.font] : undefined;
+    write(decodeBytes(bytes, fontCodePage || codePage));
+    bytes = [];
+  };
+
+  const writeChar = (chars) => {
+    if (skipChars > 0) {
+      skipChars--;
+      return;
+    }
+    flushBytes();
+    write(chars);
+  };
+
+  const writeByte = (byte) => {
+    if (skipChars > 0) {
+      skipChars--;
+      return;
+    }
+    bytes.push(byte);
+  };
+
+  const closeField = (field) => {
+    const target = field.instruction.match(/HYPERLINK\s+(?:\\l\s+)?"([^"]+)"/i) ||
+      field.instruction.match(/HYPERLINK\s+(\S+)/i);
+    if (target) {
+      links.push({ url: target[1], text: field.result.replace(/\s+/g, ' ').trim(), source: 'hyperlink' });
+    }
+  };
+
+  const controlWord = (word, parameter) => {
+    if (ignorable) {
+      ignorable = false;
+      if (word !== 'fldinst') {
+        state.skip = true;
+        return;
+      }
+    }
+
+    if (state.destination === 'fonttbl') {
+      if (word === 'f') fontDefinition = parameter;
+      if (word === 'fcharset' && fontDefinition !== null) fonts[fontDefinition] = CHARSET_CODE_PAGES[parameter];
+      return;
+    }
+
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+    } else if (SYMBOLS[word] !== undefined) {
+      writeChar(SYMBOLS[word]);
+    } else if (word === 'row' || word === 'nestrow') {
+      flushBytes();
+      if (!state.skip) text = text.replace(/\t$/, '');
+      writeChar('\n');
+    } else if (word === 'u' && parameter !== null) {
+      writeChar(String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter));
+      skipChars = state.uc;
+    } else if (word === 'uc' && parameter !== null) {
+      state.uc = parameter;
+    } else if (word === 'f' && parameter !== null) {
+      state.font = parameter;
+    } else if (word === 'fonttbl') {
+      state.destination = 'fonttbl';
+    } else if (word === 'field') {
+      state.field = { instruction: '', result: '' };
+      state.ownsField = true;
+    } else if (word === 'fldinst') {
+      state.destination = 'fldinst';
+    } else if (word === 'fldrslt') {
+      state.fieldResult = true;
+    } else if (word === 'ansicpg' && parameter !== null) {
+      codePage = parameter;
+    } else if (word === 'mac') {
+      codePage = 10000;
+    } else if (word === 'pc') {
+      codePage = 437;
+    } else if (word === 'pca') {
+      codePage = 850;
+    }
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state, ownsField: false };
+      skipChars = 0;
+      i++;
+    } else if (char === '}') {
+      flushBytes();
+      const closing = state;
+      state = stack.pop() || state;
+      if (closing.ownsField && !closing.skip) closeField(closing.field);
+      skipChars = 0;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === "'") {
+        const byte = parseInt(rtf.substr(i + 2, 2), 16);
+        if (!Number.isNaN(byte)) writeByte(byte);
+        i += 4;
+      } else if (/[a-zA-Z]/.test(next || '')) {
+        CONTROL_WORD.lastIndex = i;
+        const match = CONTROL_WORD.exec(rtf);
+        const word = match[1];
+        const parameter = match[2] !== undefined ? parseInt(match[2]) : null;
+        i = CONTROL_WORD.lastIndex;
+
+        if (word === 'bin' && parameter > 0) {
+          // Raw binary data follows - never text
+          i += parameter;
+          continue;
+        }
+        flushBytes();
+        controlWord(word, parameter);
+      } else {
+        if (next === '*') {
+          ignorable = true;
+        } else if (CONTROL_SYMBOLS[next] !== undefined) {
+          writeChar(CONTROL_SYMBOLS[next]);
+        }
+        i += 2;
+      }
+    } else if (char === '\r' || char === '\n') {
+      // Line breaks in the source are formatting only
+      i++;
+    } else {
+      const code = char.charCodeAt(0);
+      if (code > 127) {
+        writeByte(code);
+      } else {
+        writeChar(char);
+      }
+      i++;
+    }
+  }
+  flushBytes();
+
+  return {
+    text: text
+      .replace(/[ \u00a0]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim(),
+    links
+  };
+}
+
+module.exports = {
+  parseRtf
+};
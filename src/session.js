@@ -0,0 +1,76 @@
+const smartOcr = require('./smartOcr');
+const { createWorkerPool } = require('./workerPool');
+
+// Create an OCR session that owns its own Tesseract workers. Every method uses the
+// session's options (overridable per call) and its worker pool, and close() terminates
+// those workers without touching the shared pool or any other session.
+function createOcrSession(options = {}) {
+  const { workers, ...sessionOptions } = options;
+  const workerPool = createWorkerPool({ size: workers });
+  let closed = false;
+
+  function withSessionOptions(callOptions = {}) {
+    if (closed) {
+      throw new Error('OCR session has been closed');
+    }
+    return { ...sessionOptions, ...callOptions, workerPool };
+  }
+
+  const session = {
+    // Extraction
+    extractText: async (filePath, callOptions) =>
+      smartOcr.extractText(filePath, withSessionOptions(callOptions)),
+    batchExtract: async (filePaths, callOptions) =>
+      smartOcr.batchExtract(filePaths, withSessionOptions(callOptions)),
+    createBatchExtract: (inputs, callOptions) =>
+      smartOcr.createBatchExtract(inputs, withSessionOptions(callOptions)),
+    extractStructuredData: async (filePath, callOptions) =>
+      smartOcr.extractStructuredData(filePath, withSessionOptions(callOptions)),
+    extractFields: async (filePath, schema, callOptions) =>
+      smartOcr.extractFields(filePath, schema, withSessionOptions(callOptions)),
+
+    // WebdriverIO-style OCR functions
+    ocrGetText: async (imagePath, callOptions) =>
+      smartOcr.ocrGetText(imagePath, withSessionOptions(callOptions)),
+    ocrGetElementPositionByText: async (imagePath, searchText, callOptions) =>
+      smartOcr.ocrGetElementPositionByText(imagePath, searchText, withSessionOptions(callOptions)),
+    ocrWaitForTextDisplayed: async (imagePath, searchText, callOptions) =>
+      smartOcr.ocrWaitForTextDisplayed(imagePath, searchText, withSessionOptions(callOptions)),
+    ocrClickOnText: async (imagePath, searchText, callOptions) =>
+      smartOcr.ocrClickOnText(imagePath, searchText, withSessionOptions(callOptions)),
+    ocrSetValue: async (imagePath, fieldText, value, callOptions) =>
+      smartOcr.ocrSetValue(imagePath, fieldText, value, withSessionOptions(callOptions)),
+    ocrBatchOperations: async (operations, callOptions) =>
+      smartOcr.ocrBatchOperations(operations, withSessionOptions(callOptions)),
+    createOcrBatch: (operations, callOptions) =>
+      smartOcr.createOcrBatch(operations, withSessionOptions(callOptions)),
+
+    // Utility functions
+    findTextPosition: async (imagePath, searchText, callOptions) =>
+      smartOcr.findTextPosition(imagePath, searchText, withSessionOptions(callOptions)),
+    waitForText: async (imagePath, searchText, callOptions) =>
+      smartOcr.waitForText(imagePath, searchText, withSessionOptions(callOptions)),
+
+    get closed() {
+      return closed;
+    },
+
+    // Terminate the session's workers - safe to call more than once
+    async close() {
+      if (closed) return;
+      closed = true;
+      await workerPool.terminate();
+    }
+  };
+
+  // Support `await using session = createOcrSession()` where the runtime provides it
+  if (Symbol.asyncDispose) {
+    session[Symbol.asyncDispose] = session.close;
+  }
+
+  return session;
+}
+
+module.exports = {
+  createOcrSession
+};
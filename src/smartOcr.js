@@ -1,5 +1,4 @@
 require('dotenv').config();
-const { createWorker } = require('tesseract.js');
 const { astellen } = require('klassijs-astellen');
 const fs = require('fs-extra');
 const path = require('path');
@@ -8,20 +7,140 @@ const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const XLSX = require('xlsx');
 const csvParser = require('csv-parser');
-const { parse } = require('node-html-parser');
+const { createWorkerPool, mapWithConcurrency, runBatch, abortError, throwIfAborted } = require('./workerPool');
+const { openPdfRenderer } = require('./pdfRaster');
+const {
+  registerTemplate,
+  unregisterTemplate,
+  getTemplates,
+  findTemplate,
+  applyTemplateFixes,
+  applyTemplate
+} = require('./templates');
+const { extractOxfordTestStructuredData, oxfordTestTemplate } = require('./oxfordTest');
+const { analyzeLine } = require('./lineAnalysis');
+const { orderWordsByLayout } = require('./readingOrder');
+const { prepareImageRegion, mapOcrData } = require('./imageRegions');
+const { preprocessImage, resolvePipeline } = require('./preprocess');
+const { createResultCache, createCacheKey } = require('./resultCache');
+const {
+  resolveInput,
+  detectFileType,
+  sniffMimeType,
+  describeInput,
+  readSource,
+  readSourceText,
+  createSourceStream
+} = require('./input');
+const { loadFieldSchema, applyFieldSchema } = require('./fieldSchema');
+const { sheetToTable, rowsToTable } = require('./tables');
+const { extractDocxStructure } = require('./docx');
+const { parseRtf } = require('./rtf');
+const { htmlToText } = require('./html');
+const { extractDocText } = require('./legacyDoc');
+const { extractOdtText } = require('./openDocument');
+const { extractPptxSlides } = require('./pptx');
+const { extractEpubChapters } = require('./epub');
+const { parseEmail } = require('./email');
+const { xmlToText, jsonToText } = require('./dataFiles');
+const { splitImageFrames } = require('./imageFrames');
+const { selectFiles } = require('./fileSelection');
+const JSZip = require('jszip');
+
+let _pool = null;
+let _poolSize = process.env.SMART_OCR_WORKERS || null;
+let _cache = null;
+// The OCR result cache is opt-in: configureCache(), SMART_OCR_CACHE=true or options.cache: true
+let _cacheOptions = {
+  enabled: process.env.SMART_OCR_CACHE === 'true',
+  directory: process.env.SMART_OCR_CACHE_DIR || undefined
+};
 
-let _worker = null;
-let _workerPromise = null;
+// Recognition results depend on the engine and its language data as well as the image and options
+const TESSERACT_VERSION = require('tesseract.js/package.json').version;
+
+// Default OCR engine settings - every one of these can be overridden per call
+const DEFAULT_OCR_OPTIONS = {
+  language: 'eng',   // Tesseract language(s), e.g. 'eng', 'deu' or 'eng+deu'
+  psm: 6,            // Page segmentation mode - assume a uniform block of text
+  whitelist: null,   // Only recognise these characters
+  blacklist: null,   // Never recognise these characters
+  confidence: 0,     // Drop words below this confidence (0-100)
+  dpi: null          // Source resolution hint for images without DPI metadata
+};
 
 // Internal helper functions
-async function getWorker() {
-  if (!_worker) {
-    if (!_workerPromise) {
-      _workerPromise = createWorker();
-    }
-    _worker = await _workerPromise;
+// Sessions pass their own pool in options; everything else shares the module-level pool
+function getWorkerPool(options = {}) {
+  if (options.workerPool) return options.workerPool;
+  if (!_pool) {
+    _pool = createWorkerPool({ size: _poolSize });
+  }
+  return _pool;
+}
+
+// Configure the shared worker pool - running workers are terminated so the new size takes effect
+async function configureWorkerPool(options = {}) {
+  await cleanup();
+  _poolSize = options.size || null;
+}
+
+// The shared OCR result cache - null unless caching is turned on, globally or for this call
+function getResultCache(options = {}) {
+  if (options.cache === false || (!_cacheOptions.enabled && options.cache !== true)) return null;
+  if (!_cache) {
+    _cache = createResultCache(_cacheOptions);
   }
-  return _worker;
+  return _cache;
+}
+
+// Turn on and configure the OCR result cache - { enabled, memorySize, diskSize, directory, ttl }.
+// Settings not given keep their current value (including SMART_OCR_CACHE_DIR). Results already
+// cached are kept, on disk, for a cache configured with the same directory.
+function configureCache(options = {}) {
+  _cacheOptions = { ..._cacheOptions, enabled: true, ...options };
+  _cache = null;
+}
+
+// Remove every cached OCR result, in memory and on disk
+async function clearCache() {
+  const cache = _cache || createResultCache(_cacheOptions);
+  await cache.clear();
+}
+
+// Which language data a recognition uses. Workers load <lang>.traineddata from the working
+// directory when it is there (tesseract.js caches its downloads there), otherwise the data
+// published for this tesseract.js version - so replacing a file, or upgrading, changes the key.
+async function languageDataIdentity(language) {
+  return Promise.all(language.split('+').map(async (lang) => {
+    const stats = await fs.stat(path.resolve(`${lang}.traineddata`)).catch(() => null);
+    return stats ? `${lang}:${stats.size}:${Math.round(stats.mtimeMs)}` : `${lang}:tesseract.js-data`;
+  }));
+}
+
+// Merge caller options (including the CLI's --language/--confidence flags) over the defaults
+function resolveOcrOptions(options = {}) {
+  const resolved = { ...DEFAULT_OCR_OPTIONS };
+
+  if (options.language || options.lang) resolved.language = options.language || options.lang;
+  if (options.psm !== undefined) resolved.psm = parseInt(options.psm);
+  if (options.whitelist !== undefined) resolved.whitelist = options.whitelist;
+  if (options.blacklist !== undefined) resolved.blacklist = options.blacklist;
+  if (options.confidence !== undefined) resolved.confidence = Number(options.confidence) || 0;
+  if (options.dpi !== undefined) resolved.dpi = parseInt(options.dpi) || null;
+
+  return resolved;
+}
+
+// Translate resolved OCR options into Tesseract parameters
+function buildTesseractParameters(ocrOptions) {
+  return {
+    tessedit_pageseg_mode: String(ocrOptions.psm),
+    tessedit_char_whitelist: ocrOptions.whitelist || '',
+    tessedit_char_blacklist: ocrOptions.blacklist || '',
+    user_defined_dpi: ocrOptions.dpi ? String(ocrOptions.dpi) : '0',
+    preserve_interword_spaces: '1'
+  };
 }
 
 function getSupportedFormats() {
@@ -30,34 +149,51 @@ function getSupportedFormats() {
     'image/jpeg': extractTextFromImage,
     'image/jpg': extractTextFromImage,
     'image/png': extractTextFromImage,
-    'image/gif': extractTextFromImage,
+    'image/gif': extractTextFromImageFrames,
     'image/bmp': extractTextFromImage,
-    'image/tiff': extractTextFromImage,
+    'image/tiff': extractTextFromImageFrames,
     'image/webp': extractTextFromImage,
 
     // Document formats
     'application/pdf': extractTextFromPDF,
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractTextFromDocx,
+    'application/msword': extractTextFromDoc,
+    'application/vnd.oasis.opendocument.text': extractTextFromOdt,
     'application/vnd.ms-excel': extractTextFromExcel,
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': extractTextFromExcel,
+    'application/vnd.oasis.opendocument.spreadsheet': extractTextFromExcel,
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': extractTextFromPptx,
+    'application/epub+zip': extractTextFromEpub,
     'text/csv': extractTextFromCSV,
     'text/html': extractTextFromHTML,
+    'application/xhtml+xml': extractTextFromHTML,
     'text/plain': extractTextFromText,
 
+    // Archives
+    'application/zip': extractTextFromArchive,
+    'application/x-zip-compressed': extractTextFromArchive,
+
+    // Emails
+    'message/rfc822': extractTextFromEmail,
+    'application/vnd.ms-outlook': extractTextFromEmail,
+
+    // Data feeds
+    'application/xml': extractTextFromXml,
+    'text/xml': extractTextFromXml,
+    'application/json': extractTextFromJson,
+
     // Additional formats
     'application/rtf': extractTextFromRTF,
     'text/markdown': extractTextFromText
   };
 }
 
-// Main text extraction function - handles ALL file types automatically
-async function extractText(filePath, options = {}) {
+// Main text extraction function - handles ALL file types automatically. The input can be a file
+// path, a Buffer, a readable stream or a base64 / data-URL string.
+async function extractText(input, options = {}) {
   try {
-    if (!await fs.pathExists(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
-
-    const mimeType = mime.lookup(filePath) || 'application/octet-stream';
+    throwIfAborted(options.signal);
+    const { source, filePath, name, mimeType, declaredMimeType, detectedMimeType } = await resolveInput(input, options);
     const supportedFormats = getSupportedFormats();
     const extractor = supportedFormats[mimeType];
 
@@ -65,50 +201,56 @@ async function extractText(filePath, options = {}) {
       throw new Error(`Unsupported file type: ${mimeType}`);
     }
 
-    const text = await extractor(filePath);
+    const readingOrder = resolveReadingOrder(options);
+    const extracted = normalizeExtractorResult(await extractor(source, options));
 
-    // Ensure text is a string
-    const safeText = typeof text === 'string' ? text : String(text || '');
+    // Limit the result to the requested pages (e.g. '1-3,7')
+    const selectedPages = options.pages ? parsePageRange(options.pages) : null;
+    const sourcePages = selectedPages
+      ? extracted.pages.filter(page => selectedPages.includes(page.pageNumber))
+      : extracted.pages;
 
-    // Fix Oxford Test specific text merging issues
-    let cleanedText = safeText;
-    if (safeText.toLowerCase().includes('oxford test') || safeText.toLowerCase().includes('cefr')) {
-      cleanedText = fixOxfordTestTextMerging(safeText);
-    }
+    // Pick the document template (Oxford Test certificate, invoice, ...) that matches this document
+    const template = findTemplate(sourcePages.map(page => page.text).join(PAGE_SEPARATOR), { mimeType, filePath }, options);
 
-    // Fix text ordering to ensure proper reading flow
-    let orderedText = fixTextOrdering(cleanedText);
+    // Apply the template's text merging fixes to each page. Structured data is extracted from this
+    // text, before reading-order correction, so field extractors see the document's own layout.
+    const cleanedPages = sourcePages.map(page => applyTemplateFixes(template, page.text));
 
-    // If the first ordering didn't help much, try advanced reconstruction
-    if (orderedText === cleanedText) {
-      orderedText = reconstructMixedText(cleanedText);
-    }
+    // Order each page separately, tracking where it sits in the combined text
+    let offset = 0;
+    const pages = sourcePages.map(({ layoutWords, documentLinks, ...page }, index) => {
+      if (index > 0) offset += PAGE_SEPARATOR.length;
 
-    // Extract links safely
-    let links = [];
-    try {
-      links = extractLinks(orderedText);
-    } catch (error) {
-      console.warn('Error extracting links:', error.message);
-      links = [];
-    }
+      const pageText = orderPageText(cleanedPages[index], layoutWords, template, readingOrder, options);
+      const startOffset = offset;
+      offset += pageText.length;
+
+      return {
+        ...page,
+        text: pageText,
+        ...mergeLinks(documentLinks, pageText),
+        structuredData: template ? safeApplyTemplate(template, cleanedPages[index]) : null,
+        startOffset,
+        endOffset: offset
+      };
+    });
+
+    const orderedText = pages.map(page => page.text).join(PAGE_SEPARATOR);
+
+    // Links the document declares itself (e.g. DOCX hyperlinks) come first, then links found in the text
+    const { links, linkDetails } = mergeLinks(sourcePages.flatMap(page => page.documentLinks || []), orderedText);
 
     // Save links to JSON if requested and links exist
     let savedJsonPath = null;
 
-    // Extract Oxford Test structured data if this is an Oxford Test document
-    let structuredData = null;
-    if (safeText.toLowerCase().includes('oxford test') || safeText.toLowerCase().includes('cefr')) {
-      try {
-        structuredData = extractOxfordTestStructuredData(orderedText);
-      } catch (error) {
-        console.error('❌ Error extracting Oxford Test structured data:', error);
-        structuredData = null;
-      }
-    }
-    if (options.saveLinksToJson !== false && links && links.length > 0) { // Default to true, but only if links exist
+    // Extract structured data if the document matched a template
+    const structuredData = template ? safeApplyTemplate(template, cleanedPages.join(PAGE_SEPARATOR)) : null;
+
+    // Saved links are named after the input, so anonymous buffers and streams can't be saved
+    if (options.saveLinksToJson !== false && name && links && links.length > 0) { // Default to true, but only if links exist
       try {
-        savedJsonPath = await saveLinksToJson(links, filePath, options.outputDir);
+        savedJsonPath = await saveLinksToJson(links, name, options.outputDir);
       } catch (error) {
         console.warn('Failed to save links to JSON:', error.message);
       }
@@ -117,46 +259,314 @@ async function extractText(filePath, options = {}) {
     return {
       text: orderedText,
       mimeType,
+      declaredMimeType,
+      detectedMimeType,
       links,
+      linkDetails,
       filePath,
       savedLinksJson: savedJsonPath,
-      structuredData: structuredData
+      structuredData: structuredData,
+      pages,
+      totalPages: extracted.totalPages,
+      tables: extracted.tables,
+      structure: extracted.structure,
+      attachments: extracted.attachments,
+      entries: extracted.entries
     };
   } catch (error) {
-    console.error(`Error extracting text from ${filePath}:`, error.message);
+    if (error.name !== 'AbortError') {
+      console.error(`Error extracting text from ${describeInput(input)}:`, error.message);
+    }
     throw error;
   }
 }
 
-async function extractTextFromImage(imagePath) {
-  const worker = await getWorker();
+// Separator placed between pages when they are joined into one text
+const PAGE_SEPARATOR = '\n\n';
+
+// Extractors return either plain text or { text, pages, totalPages } - normalise to the latter
+function normalizeExtractorResult(result) {
+  if (result && typeof result === 'object' && Array.isArray(result.pages)) {
+    const pages = result.pages.map((page, index) => ({
+      ...page,
+      pageNumber: page.pageNumber || index + 1,
+      text: typeof page.text === 'string' ? page.text : String(page.text || '')
+    }));
+    return {
+      pages,
+      totalPages: result.totalPages || pages.length,
+      tables: result.tables || null,
+      structure: result.structure || null,
+      attachments: result.attachments || null,
+      entries: result.entries || null
+    };
+  }
+
+  // Ensure text is a string
+  const text = typeof result === 'string' ? result : String(result || '');
+  return { pages: [{ pageNumber: 1, text }], totalPages: 1, tables: null, structure: null, attachments: null, entries: null };
+}
+
+// Parse a page selection like '1-3,7' (or an array of page numbers) into sorted page numbers
+function parsePageRange(spec) {
+  if (Array.isArray(spec)) {
+    return [...new Set(spec.map(Number))].sort((a, b) => a - b);
+  }
+
+  const pageNumbers = new Set();
+  String(spec).split(',').map(part => part.trim()).filter(part => part.length > 0).forEach(part => {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid page range: ${spec}`);
+    }
+
+    const start = parseInt(match[1]);
+    const end = match[2] ? parseInt(match[2]) : start;
+    if (start < 1 || end < start) {
+      throw new Error(`Invalid page range: ${spec}`);
+    }
+
+    for (let pageNumber = start; pageNumber <= end; pageNumber++) {
+      pageNumbers.add(pageNumber);
+    }
+  });
+
+  return [...pageNumbers].sort((a, b) => a - b);
+}
+
+const READING_ORDERS = ['auto', 'layout', 'heuristic', 'none'];
+
+// options.readingOrder: 'auto' (default - 'layout' for pages with word positions, 'heuristic' for the
+// rest), 'layout', 'heuristic', or 'none' / false for the engine's own order
+function resolveReadingOrder(options = {}) {
+  const readingOrder = options.readingOrder === false ? 'none' : (options.readingOrder || 'auto');
+  if (!READING_ORDERS.includes(readingOrder)) {
+    throw new Error(`Invalid reading order: ${readingOrder} (expected ${READING_ORDERS.join(', ')})`);
+  }
+  return readingOrder;
+}
+
+// Put one page into reading order. Pages with word positions (OCR, PDF text layers) are ordered
+// from their geometry; text-only formats fall back to the text heuristic under 'auto' and are left
+// in document order under 'layout'.
+function orderPageText(cleanedText, layoutWords, template, readingOrder, options = {}) {
+  if (readingOrder === 'none') return cleanedText;
+
+  const hasLayout = Boolean(layoutWords && layoutWords.length > 0);
+  if (readingOrder === 'heuristic' || (readingOrder === 'auto' && !hasLayout)) return orderText(cleanedText);
+  if (!hasLayout) return cleanedText;
+
+  try {
+    const layoutText = orderWordsByLayout(layoutWords, options.layout);
+    return layoutText ? applyTemplateFixes(template, layoutText) : cleanedText;
+  } catch (error) {
+    console.warn('Layout ordering failed, keeping extracted order:', error.message);
+    return cleanedText;
+  }
+}
+
+// Fix the reading order of one page of text from the text alone
+function orderText(cleanedText) {
+  // Fix text ordering to ensure proper reading flow
+  let orderedText = fixTextOrdering(cleanedText);
+
+  // If the first ordering didn't help much, try advanced reconstruction
+  if (orderedText === cleanedText) {
+    orderedText = reconstructMixedText(cleanedText);
+  }
+
+  return orderedText;
+}
+
+function safeExtractLinks(text) {
+  try {
+    return extractLinks(text);
+  } catch (error) {
+    console.warn('Error extracting links:', error.message);
+    return [];
+  }
+}
+
+// Combine links declared by the document ({ url, text, source }) with links detected in its text.
+// linkDetails keeps every link with its source ('hyperlink' or 'text'); links is the unique URLs.
+function mergeLinks(documentLinks = [], text) {
+  const linkDetails = [...documentLinks];
+  const urls = new Set(documentLinks.map(link => link.url));
+
+  safeExtractLinks(text).forEach(url => {
+    if (urls.has(url)) return;
+    urls.add(url);
+    linkDetails.push({ url, text: url, source: 'text' });
+  });
 
-  // Enhanced OCR settings for better text quality and ordering
-  const { data: { text } } = await worker.recognize(imagePath, {
-    // Language settings
-    lang: 'eng',
+  return { links: [...urls], linkDetails };
+}
 
-    // OCR Engine settings for better accuracy and ordering
-    oem: 3, // Default, based on what is available
-    psm: 6, // Assume a uniform block of text (better for structured documents)
+function safeApplyTemplate(template, text) {
+  try {
+    return applyTemplate(template, text);
+  } catch (error) {
+    console.error(`❌ Error extracting ${template.name} structured data:`, error);
+    return null;
+  }
+}
 
-    // Additional parameters for better text recognition and ordering
-    tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,!?;:()[]{}"\'-/@#$%^&*+=<>|\\~`',
+async function extractTextFromImage(imageSource, options = {}) {
+  const data = await recognizeImage(imageSource, options);
+  return {
+    text: data.text,
+    pages: [{ pageNumber: 1, text: data.text, layoutWords: getOcrWords(data) }],
+    totalPages: 1
+  };
+}
 
-    // Confidence threshold
-    tessedit_min_confidence: 50, // Lower threshold to capture more text
+// Multi-page TIFFs and animated GIFs - one page per frame, recognised in parallel like scanned PDF pages
+async function extractTextFromImageFrames(imageSource, options = {}) {
+  const buffer = await readSource(imageSource);
+  const frames = splitImageFrames(buffer, sniffMimeType(buffer));
+  if (frames.length === 1) {
+    return extractTextFromImage(imageSource, options);
+  }
 
-    // Text ordering and layout settings
-    preserve_interword_spaces: 1,
-    textord_old_baselines: 0,
-    textord_heavy_nr: 1,
+  const selectedPages = options.pages ? parsePageRange(options.pages) : null;
+  const selectedFrames = frames
+    .map((loadFrame, index) => ({ pageNumber: index + 1, loadFrame }))
+    .filter(frame => !selectedPages || selectedPages.includes(frame.pageNumber));
+  const concurrency = options.concurrency || getWorkerPool(options).size;
 
-    // Additional settings for better text separation
-    tessedit_pageseg_mode: 6,
-    textord_min_linesize: 2.0
+  const pages = await mapWithConcurrency(selectedFrames, concurrency, async (frame) => {
+    // Frames are cut out as they are recognised, so only the ones in flight are held in memory
+    const data = await recognizeImage(frame.loadFrame(), options);
+    return { pageNumber: frame.pageNumber, text: data.text, layoutWords: getOcrWords(data) };
   });
 
-  return text;
+  return {
+    text: pages.map(page => page.text).join(PAGE_SEPARATOR),
+    pages,
+    totalPages: frames.length
+  };
+}
+
+// Run Tesseract over an image and return its text, lines and words with their positions.
+// options.region crops the image, options.ignoreRegions masks parts of it out and options.preprocess
+// cleans it up first; whatever was done, the returned coordinates are in full-image space.
+async function recognizeImage(imagePath, options = {}) {
+  const ocrOptions = resolveOcrOptions(options);
+  const image = await readSource(imagePath);
+
+  // The same image read with the same settings gives the same result. Debug runs always recognise,
+  // since they are there to save the preprocessed images.
+  const cache = options.preprocessDebugDir ? null : getResultCache(options);
+  const cacheKey = cache && createCacheKey(image, {
+    engine: TESSERACT_VERSION,
+    languageData: await languageDataIdentity(ocrOptions.language),
+    ocr: ocrOptions,
+    region: options.region || null,
+    ignoreRegions: options.ignoreRegions || null,
+    preprocess: resolvePipeline(options.preprocess)
+  });
+  if (cacheKey) {
+    const cached = await cache.get(cacheKey);
+    if (cached) return withOcrWords(cached);
+  }
+
+  const { image: regionImage, offset } = await prepareImageRegion(image, options);
+  const processed = await preprocessImage(regionImage, options, imagePath);
+
+  // Upscaling raises the effective resolution of the image Tesseract sees
+  const parameters = buildTesseractParameters({
+    ...ocrOptions,
+    dpi: ocrOptions.dpi ? Math.round(ocrOptions.dpi * processed.scale) : ocrOptions.dpi
+  });
+
+  const data = await getWorkerPool(options).run(ocrOptions.language, async (worker) => {
+    await worker.setParameters(parameters);
+    const { data } = await worker.recognize(processed.image);
+    return data;
+  }, { signal: options.signal, onProgress: options.onProgress });
+
+  // Layout ordering needs the straightened geometry rather than the tilted boxes of the original scan
+  if (processed.angle) {
+    getOcrLines(data).forEach(line => (line.words || []).forEach(word => {
+      word.layoutBbox = { ...word.bbox };
+    }));
+  }
+
+  if (processed.image !== regionImage || regionImage !== image) {
+    mapOcrData(data, (x, y) => {
+      const point = processed.mapPoint(x, y);
+      return { x: point.x + offset.x, y: point.y + offset.y };
+    });
+  }
+
+  const result = compactOcrData(applyMinConfidence(data, ocrOptions.confidence));
+  // words is rebuilt from lines on a hit rather than stored twice
+  if (cacheKey) await cache.set(cacheKey, { text: result.text, confidence: result.confidence, lines: result.lines });
+  return result;
+}
+
+// Keep the parts of Tesseract's result the library reads. Every word, symbol and line in the raw
+// result carries its own copy of (or a reference back to) its line, block and page, which makes it
+// megabytes per screenshot - or impossible - to serialise for the cache.
+function compactOcrData(data) {
+  const lines = getOcrLines(data).map(line => ({
+    text: line.text,
+    confidence: line.confidence,
+    bbox: line.bbox,
+    words: (line.words || []).map(word => ({
+      text: word.text,
+      confidence: word.confidence,
+      bbox: word.bbox,
+      ...(word.layoutBbox ? { layoutBbox: word.layoutBbox } : {})
+    }))
+  }));
+
+  return withOcrWords({ text: data.text, confidence: data.confidence, lines });
+}
+
+// The flat word list, shared with the lines like Tesseract's own
+function withOcrWords(data) {
+  return { ...data, words: data.lines.flatMap(line => line.words) };
+}
+
+// Drop words below the confidence threshold and rebuild the text from what remains
+function applyMinConfidence(data, minConfidence) {
+  if (!minConfidence) return data;
+
+  const lines = getOcrLines(data)
+    .map(line => ({
+      ...line,
+      words: (line.words || []).filter(word => word.confidence >= minConfidence)
+    }))
+    .filter(line => line.words.length > 0);
+
+  return {
+    ...data,
+    text: lines.map(line => line.words.map(word => word.text).join(' ')).join('\n'),
+    lines,
+    words: lines.flatMap(line => line.words)
+  };
+}
+
+// Flatten Tesseract's block/paragraph/line hierarchy into a list of text lines
+function getOcrLines(data) {
+  if (!data) return [];
+  if (Array.isArray(data.lines) && data.lines.length > 0) return data.lines;
+
+  const lines = [];
+  (data.blocks || []).forEach(block => {
+    (block.paragraphs || []).forEach(paragraph => {
+      lines.push(...(paragraph.lines || []));
+    });
+  });
+  return lines;
+}
+
+// Positioned words for layout ordering
+function getOcrWords(data) {
+  return getOcrLines(data)
+    .flatMap(line => line.words || [])
+    .map(word => (word.layoutBbox ? { ...word, bbox: word.layoutBbox } : word));
 }
 
 // Fix text ordering to ensure top-to-bottom, left-to-right reading
@@ -171,80 +581,7 @@ function fixTextOrdering(text) {
     if (lines.length <= 3) return text;
 
     // Analyze each line to understand its content and position
-    const analyzedLines = lines.map((line, index) => {
-      const trimmedLine = line.trim();
-
-      // Determine line type and priority
-      let lineType = 'content';
-      let priority = 0;
-      let isHeader = false;
-      let isFooter = false;
-
-      // Check for headers (should be at top)
-      if (trimmedLine.match(/^(title|subject|to:|from:|date:|re:|cc:|bcc:)/i)) {
-        lineType = 'header';
-        priority = 1;
-        isHeader = true;
-      } else if (trimmedLine.match(/^[A-Z][A-Z\s]{3,}$/)) {
-        lineType = 'title';
-        priority = 1;
-        isHeader = true;
-      } else if (trimmedLine.match(/^(report|document|memo|letter|email|fax)/i)) {
-        lineType = 'document_type';
-        priority = 2;
-        isHeader = true;
-      }
-
-      // Check for footers (should be at bottom)
-      if (trimmedLine.match(/\b(page|p\.|pg\.)\s*\d+/i)) {
-        lineType = 'page_number';
-        priority = 100;
-        isFooter = true;
-      } else if (trimmedLine.match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/)) {
-        lineType = 'date';
-        priority = 90;
-        isFooter = true;
-      } else if (trimmedLine.match(/\b(©|copyright|all rights reserved)/i)) {
-        lineType = 'copyright';
-        priority = 95;
-        isFooter = true;
-      } else if (trimmedLine.match(/\b(confidential|private|draft|internal)/i)) {
-        lineType = 'status';
-        priority = 85;
-        isFooter = true;
-      }
-
-      // Check for content structure
-      if (trimmedLine.match(/^[0-9]+\.\s/)) {
-        lineType = 'numbered_list';
-        priority = 50;
-      } else if (trimmedLine.match(/^[a-z]\)\s/)) {
-        lineType = 'lettered_list';
-        priority = 50;
-      } else if (trimmedLine.match(/^[-*•]\s/)) {
-        lineType = 'bullet_list';
-        priority = 50;
-      }
-
-      // Check for logical flow indicators
-      if (trimmedLine.match(/^(therefore|thus|consequently|as a result)/i)) {
-        lineType = 'conclusion';
-        priority = 80;
-      } else if (trimmedLine.match(/^(in conclusion|summary|finally)/i)) {
-        lineType = 'conclusion';
-        priority = 80;
-      }
-
-      return {
-        originalIndex: index,
-        text: trimmedLine,
-        lineType,
-        priority,
-        isHeader,
-        isFooter,
-        originalLine: line
-      };
-    });
+    const analyzedLines = lines.map((line, index) => analyzeLine(line, index));
 
     // Create content blocks that keep related information together
     const contentBlocks = [];
@@ -386,86 +723,32 @@ function reconstructMixedText(text) {
 // Helper function to determine if a new content block should start
 function shouldStartNewContentBlock(currentLine, nextLine, currentBlock) {
   // Start new block if:
-  // 1. Current line is a major section header (document title, main sections)
-  if (currentLine.match(/^(oxford test|overall cefr level|overall score|test taker|speaking|listening|reading|writing|modules|certificate)/i)) {
-    return true;
-  }
-
-  // 2. Current line is a page number or footer
+  // 1. Current line is a page number or footer
   if (currentLine.match(/\b(page|p\.|pg\.)\s*\d+/i)) return true;
   if (currentLine.match(/\b(©|copyright|all rights reserved)/i)) return true;
 
-  // 3. There's a significant content gap (indicates different section)
+  // 2. There's a significant content gap (indicates different section)
   if (currentBlock.length > 0) {
     const lastLine = currentBlock[currentBlock.length - 1].text;
     const contentGap = Math.abs(currentLine.length - lastLine.length);
     if (contentGap > 80) return true; // Larger gap for section breaks
   }
 
-  // 4. Next line looks like it should start a new major section
-  if (nextLine.match(/^(oxford test|overall cefr level|overall score|test taker|speaking|listening|reading|writing|modules|certificate)/i)) {
-    return true;
-  }
-
-  // 5. Current line is a standalone footer element
-  if (currentLine.match(/^(managing director|deputy director|oxford university press|university of oxford)/i)) {
-    return true;
-  }
-
-  // 6. Oxford Test specific patterns
-  if (currentLine.match(/^(test results|overall results|cefr scale|score guide|results verification)/i)) {
-    return true;
-  }
-
-  // 7. Lines that look like they should be section headers
+  // 3. Lines that look like they should be section headers
   if (currentLine.match(/^[A-Z][A-Z\s]{5,}$/) && currentLine.length < 50) {
     return true;
   }
 
-  // 8. Oxford Test specific section breaks
-  if (currentLine.match(/^(overall cefr level|overall score|test taker name|certificate reference number)/i)) {
-    return true;
-  }
-
-  // 9. Lines that contain merged text patterns (indicate section breaks)
-  if (currentLine.match(/overall score overall cefr level/i) ||
-    currentLine.match(/date of birthtest taker number/i) ||
-    currentLine.match(/certificate reference number/i)) {
-    return true;
-  }
-
   return false;
 }
 
-// Helper function to determine content block order
+// Helper function to determine content block order - page furniture goes last, everything else
+// keeps its original order
 function getContentBlockOrder(block) {
-  const firstLine = block[0].text.toLowerCase();
-
-  // Document title and main headers first
-  if (firstLine.includes('oxford test of english') && firstLine.includes('certificate')) return 1;
-  if (firstLine.includes('oxford test of english')) return 2;
-
-  // Test taker information
-  if (firstLine.includes('test taker') || firstLine.includes('name') || firstLine.includes('date of birth')) return 10;
-
-  // Test results
-  if (firstLine.includes('overall score') || firstLine.includes('overall cefr level')) return 20;
-
-  // Individual test sections
-  if (firstLine.includes('speaking')) return 30;
-  if (firstLine.includes('listening')) return 40;
-  if (firstLine.includes('reading')) return 50;
-  if (firstLine.includes('writing')) return 60;
-
-  // Modules and scoring
-  if (firstLine.includes('modules') || firstLine.includes('score')) return 70;
-
-  // CEFR scale and reference
-  if (firstLine.includes('cefr') && firstLine.includes('scale')) return 80;
+  const firstLine = block[0].text;
 
-  // Footer information
-  if (firstLine.includes('oxford university press') || firstLine.includes('university of oxford')) return 100;
-  if (firstLine.includes('copyright') || firstLine.includes('©')) return 110;
+  if (firstLine.match(/\b(page|p\.|pg\.)\s*\d+/i)) return 100;
+  if (firstLine.match(/\b(©|copyright|all rights reserved)/i)) return 110;
 
   // Default content
   return 90;
@@ -516,184 +799,350 @@ function cleanTextForOCR(text) {
   return cleanedText.trim();
 }
 
-// Fix common OCR text merging issues in Oxford Test certificates
-function fixOxfordTestTextMerging(text) {
-  if (typeof text !== 'string') return text;
-
-  let fixedText = text;
-
-  // Fix specific Oxford Test patterns first (more targeted approach)
-  const specificFixes = [
-    // Fix "OVERALL SCOREOVERALL CEFR LEVEL" -> "OVERALL SCORE\nOVERALL CEFR LEVEL"
-    [/OVERALL SCOREOVERALL CEFR LEVEL/g, 'OVERALL SCORE\nOVERALL CEFR LEVEL'],
-
-    // Fix "DATE OF BIRTHTEST TAKER NUMBER" -> "DATE OF BIRTH\nTEST TAKER NUMBER"
-    [/DATE OF BIRTHTEST TAKER NUMBER/g, 'DATE OF BIRTH\nTEST TAKER NUMBER'],
+async function extractTextFromPDF(pdfSource, options = {}) {
+  try {
+    const dataBuffer = await readSource(pdfSource);
+    const selectedPages = options.pages ? parsePageRange(options.pages) : null;
+
+    // Collect each page's text layer separately so pages without one can be OCR'd
+    const renderedTexts = [];
+    const data = await pdfParse(dataBuffer, {
+      // No need to read past the last requested page
+      max: selectedPages ? Math.max(...selectedPages) : 0,
+      pagerender: async (pageData) => {
+        const rendered = await renderPdfPageText(pageData);
+        renderedTexts[pageData.pageIndex] = rendered;
+        return rendered.text;
+      }
+    });
 
-    // Fix "CERTIFICATE REFERENCE NUMBER" -> "CERTIFICATE REFERENCE NUMBER"
-    [/CERTIFICATE REFERENCE NUMBER/g, 'CERTIFICATE REFERENCE NUMBER'],
+    const pages = [];
+    for (let i = 0; i < data.numrender; i++) {
+      if (selectedPages && !selectedPages.includes(i + 1)) continue;
+      const rendered = renderedTexts[i] || { text: '', words: [] };
+      pages.push({ pageNumber: i + 1, text: rendered.text, ocr: false, layoutWords: rendered.words });
+    }
 
-    // Fix merged CEFR level and score patterns (e.g., "B1104" -> "B1 104")
-    [/([A-Z])\s*(\d{2,3})/g, '$1$2'],
+    // Image-only (scanned) pages have no text layer - rasterise them and run them through OCR
+    if (options.ocrFallback !== false) {
+      const scannedPages = pages.filter(page => page.text.trim().length === 0);
+
+      if (scannedPages.length > 0) {
+        const renderer = await openPdfRenderer(dataBuffer, { scale: options.pdfRenderScale });
+        const concurrency = options.concurrency || getWorkerPool(options).size;
+
+        try {
+          await mapWithConcurrency(scannedPages, concurrency, async (page) => {
+            // Pages are rendered as they are recognised, so only the ones in flight are held in memory
+            const renderedPage = await renderer.renderPage(page.pageNumber);
+            // Regions are screenshot coordinates - they don't apply to rendered PDF pages
+            const ocrData = await recognizeImage(renderedPage.image, {
+              dpi: renderedPage.dpi,
+              ...options,
+              region: null,
+              ignoreRegions: null
+            });
+            page.text = ocrData.text.trim();
+            page.ocr = true;
+            page.layoutWords = getOcrWords(ocrData);
+          });
+        } finally {
+          await renderer.close();
+        }
+      }
+    }
 
-    // Fix merged module score patterns -> separate lines
-    [/MODULESCORE([A-Z]\s*\d+\s*\([^)]+\))+/g, function(match) {
-      return match.replace(/([A-Z]\s*\d+\s*\([^)]+\))/g, '\n$1');
-    }],
+    // Fix common PDF extraction spacing issues
+    pages.forEach(page => {
+      // Fix date patterns where space is missing between date and number
+      page.text = page.text.replace(/(\d{1,2}\s+[A-Za-z]{3}\s+\d{4})(\d{4}\.\d{4})/g, '$1 $2');
+      page.text = page.text.replace(/(\d{1,2}\s+[A-Za-z]{3}\s+\d{4})(\d{4}\.\d{3})/g, '$1 $2');
+      page.text = page.text.replace(/(\d{1,2}\s+[A-Za-z]{3}\s+\d{4})(\d{4}\.\d{2})/g, '$1 $2');
+    });
 
-    // Fix "SCORECEFR" -> "SCORE\nCEFR"
-    [/SCORECEFR/g, 'SCORE\nCEFR'],
+    return {
+      text: pages.map(page => page.text).join(PAGE_SEPARATOR),
+      pages,
+      totalPages: data.numpages
+    };
+  } catch (error) {
+    console.error('Error extracting PDF text:', error.message);
+    throw error;
+  }
+}
 
-    // Fix "B 2 B 2 B 2" -> "B2 B2 B2"
-    [/B\s+2\s+B\s+2\s+B\s+2/g, 'B2 B2 B2'],
-    [/B\s+1\s+B\s+1/g, 'B1 B1'],
-    [/A\s+2\s+A\s+2/g, 'A2 A2'],
+// Same text layout as pdf-parse's default page renderer - a new line whenever the baseline changes -
+// plus the positioned words used for layout ordering
+async function renderPdfPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
 
-    // Fix "Below A 2 Below A 2" -> "Below A2 Below A2"
-    [/Below\s+A\s+2\s+Below\s+A\s+2/g, 'Below A2 Below A2'],
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || lastY === undefined) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return { text, words: pdfTextItemsToWords(textContent.items) };
+}
 
-    // Fix "Below B 2" -> "Below B2"
-    [/Below\s+B\s+2/g, 'Below B2'],
+// Turn PDF text items into positioned words (y flipped so it grows down the page, like OCR boxes).
+// Items that touch on the same baseline are pieces of one word and are merged.
+function pdfTextItemsToWords(items) {
+  const words = [];
+
+  items.forEach(item => {
+    if (!item.str || item.str.trim().length === 0) return;
+
+    const fontSize = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+    const x = item.transform[4];
+    const y = -item.transform[5];
+    const bbox = { x0: x, y0: y - fontSize, x1: x + (item.width || 0), y1: y };
+
+    const previous = words[words.length - 1];
+    if (previous &&
+      Math.abs(previous.bbox.y1 - y) < fontSize * 0.2 &&
+      Math.abs(x - previous.bbox.x1) < fontSize * 0.15) {
+      previous.text += item.str;
+      previous.bbox.x1 = Math.max(previous.bbox.x1, bbox.x1);
+      previous.bbox.y0 = Math.min(previous.bbox.y0, bbox.y0);
+      return;
+    }
 
-    // Fix "C 1" -> "C1"
-    [/C\s+1/g, 'C1'],
+    words.push({ text: item.str, bbox });
+  });
 
-    // Fix "A 2, B 1, and B 2" -> "A2, B1, and B2"
-    [/A\s+2,\s+B\s+1,\s+and\s+B\s+2/g, 'A2, B1, and B2'],
+  return words.map(word => ({ ...word, text: word.text.trim() }));
+}
 
-    // Fix "A 032" -> "AM032"
-    [/A\s+0\s*3\s*2/g, 'AM032'],
+async function extractTextFromDocx(docxSource, options = {}) {
+  if (!options.structure && !options.tables) {
+    const result = await mammoth.extractRawText(Buffer.isBuffer(docxSource) ? { buffer: docxSource } : { path: docxSource });
+    return result.value;
+  }
 
-    // Fix merged date and number patterns -> separate lines
-    [/(\d{1,2}\s+[A-Za-z]+\s+\d{4})(\d{6,})/g, '$1\n$2'],
+  // Structured mode - outline, tables, real hyperlink targets, headers and footers
+  const { text, structure, links } = await extractDocxStructure(await readSource(docxSource));
+  return {
+    pages: [{ pageNumber: 1, text, documentLinks: links }],
+    structure,
+    tables: options.tables
+      ? structure.tables.map((table, index) => rowsToTable(`Table ${index + 1}`, table.rows, options.tables))
+      : null
+  };
+}
 
+async function extractTextFromExcel(excelSource, options = {}) {
+  const workbook = XLSX.read(await readSource(excelSource), { cellDates: true });
+  let text = '';
 
+  workbook.SheetNames.forEach(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    // type 'string' returns the text itself rather than UTF-16 bytes with a byte order mark
+    const sheetText = XLSX.utils.sheet_to_txt(sheet, { type: 'string' });
+    text += `Sheet: ${sheetName}\n${sheetText}\n\n`;
+  });
 
-    // Fix merged CEFR level patterns (e.g., "B 2" -> "B2")
-    [/([A-Z])\s+(\d+)/g, '$1$2'],
+  if (!options.tables) return text;
 
-    // Fix merged score range patterns -> separate lines
-    [/(\d+–\d+)\s+(\d+–\d+)/g, '$1\n$2'],
-  ];
+  return {
+    pages: [{ pageNumber: 1, text }],
+    tables: workbook.SheetNames.map(sheetName => sheetToTable(sheetName, workbook.Sheets[sheetName], options.tables))
+  };
+}
 
-  // Apply specific fixes
-  specificFixes.forEach(([pattern, replacement]) => {
-    const beforeCount = (fixedText.match(pattern) || []).length;
-    fixedText = fixedText.replace(pattern, replacement);
-    const afterCount = (fixedText.match(pattern) || []).length;
-    // Pattern fixed
+async function extractTextFromCSV(csvSource, options = {}) {
+  const rows = await new Promise((resolve, reject) => {
+    const results = [];
+    createSourceStream(csvSource)
+      .pipe(csvParser({ headers: false }))
+      .on('data', (data) => results.push(Object.values(data)))
+      .on('end', () => resolve(results))
+      .on('error', reject);
   });
 
-  // General cleanup patterns
-  const generalFixes = [
-    // Fix merged CEFR level and score (e.g., "B1104" -> "B1 104")
-    [/([A-Z])\s*(\d{2,3})/g, '$1$2'],
+  const text = rows.map(values => values.join(', ')).join('\n');
+  if (!options.tables) return text;
 
-    // Fix missing spaces after numbers
-    [/(\d)([A-Z])/g, '$1 $2'],
+  const sourceName = Buffer.isBuffer(csvSource) ? options.fileName : csvSource;
+  const tableName = sourceName ? path.basename(sourceName, path.extname(sourceName)) : 'CSV';
+  return {
+    pages: [{ pageNumber: 1, text }],
+    tables: [rowsToTable(tableName, rows, options.tables)]
+  };
+}
 
-    // Fix missing spaces before numbers
-    [/([A-Z])(\d)/g, '$1 $2'],
+async function extractTextFromHTML(htmlSource, options = {}) {
+  const htmlContent = await readSourceText(htmlSource);
+  const { text, links, tables } = htmlToText(htmlContent, { baseUrl: options.baseUrl });
+  return {
+    pages: [{ pageNumber: 1, text, documentLinks: links }],
+    tables: options.tables
+      ? tables.map((rows, index) => rowsToTable(`Table ${index + 1}`, rows, options.tables))
+      : null
+  };
+}
 
-    // Fix double spaces
-    [/\s{2,}/g, ' '],
+async function extractTextFromText(textSource) {
+  return await readSourceText(textSource);
+}
 
-    // Clean up multiple newlines
-    [/\n{3,}/g, '\n\n'],
-  ];
+async function extractTextFromRTF(rtfSource) {
+  // RTF is 7-bit text with escapes for everything else - read it a byte per character
+  const { text, links } = parseRtf((await readSource(rtfSource)).toString('latin1'));
+  return { pages: [{ pageNumber: 1, text, documentLinks: links }] };
+}
 
-  // Apply general fixes
-  generalFixes.forEach(([pattern, replacement]) => {
-    fixedText = fixedText.replace(pattern, replacement);
-  });
+async function extractTextFromDoc(docSource) {
+  const { text, links } = extractDocText(await readSource(docSource));
+  return { pages: [{ pageNumber: 1, text, documentLinks: links }] };
+}
 
-  return fixedText;
+async function extractTextFromOdt(odtSource) {
+  const { text, links } = await extractOdtText(await readSource(odtSource));
+  return { pages: [{ pageNumber: 1, text, documentLinks: links }] };
 }
 
-async function extractTextFromPDF(pdfPath) {
-  try {
-    const dataBuffer = await fs.readFile(pdfPath);
-    const data = await pdfParse(dataBuffer);
+// One page per slide
+async function extractTextFromPptx(pptxSource) {
+  const slides = await extractPptxSlides(await readSource(pptxSource));
+  return {
+    pages: slides.map((slide, index) => ({ pageNumber: index + 1, text: slide.text, documentLinks: slide.links }))
+  };
+}
 
-    // Get text from all pages
-    let fullText = '';
-    if (data.text) {
-      fullText = data.text;
-    }
+// One page per chapter (spine item) of the book
+async function extractTextFromEpub(epubSource) {
+  const { title, chapters } = await extractEpubChapters(await readSource(epubSource));
+  return {
+    pages: chapters.map((chapter, index) => ({
+      pageNumber: index + 1,
+      text: chapter.text,
+      chapter: chapter.name,
+      documentLinks: chapter.links
+    })),
+    structure: { title, chapters: chapters.map((chapter, index) => ({ name: chapter.name, pageNumber: index + 1 })) }
+  };
+}
 
-    // If we have pages, extract text from each page
-    if (data.pages && data.pages.length > 0) {
-      fullText = data.pages.map(page => page.text || '').join('\n');
-    }
+// The message is the first page; each attachment is extracted like any other input and added as a
+// further page (named by its attachment field). Attachments that can't be extracted are listed in
+// attachments with their error.
+async function extractTextFromEmail(emailSource, options = {}) {
+  const email = parseEmail(await readSource(emailSource));
+  const pages = [{ pageNumber: 1, text: email.text, documentLinks: email.links }];
+  const attachments = [];
 
-    // Fallback to raw text if no structured data
-    if (!fullText && data.text) {
-      fullText = data.text;
+  for (const attachment of email.attachments) {
+    try {
+      const result = await extractEmbeddedFile(attachment.content, attachment.fileName, options);
+      pages.push({
+        pageNumber: pages.length + 1,
+        text: result.text,
+        attachment: attachment.fileName,
+        documentLinks: result.linkDetails.filter(link => link.source === 'hyperlink')
+      });
+      attachments.push({
+        fileName: attachment.fileName,
+        mimeType: result.mimeType,
+        text: result.text,
+        links: result.links,
+        pages: result.pages,
+        tables: result.tables,
+        attachments: result.attachments
+      });
+    } catch (error) {
+      attachments.push({ fileName: attachment.fileName, mimeType: attachment.mimeType, error: error.message });
     }
+  }
 
-    // Fix common PDF extraction spacing issues
-    // Fix date patterns where space is missing between date and number
-    fullText = fullText.replace(/(\d{1,2}\s+[A-Za-z]{3}\s+\d{4})(\d{4}\.\d{4})/g, '$1 $2');
-    fullText = fullText.replace(/(\d{1,2}\s+[A-Za-z]{3}\s+\d{4})(\d{4}\.\d{3})/g, '$1 $2');
-    fullText = fullText.replace(/(\d{1,2}\s+[A-Za-z]{3}\s+\d{4})(\d{4}\.\d{2})/g, '$1 $2');
+  return { pages, structure: { headers: email.headers }, attachments };
+}
 
-    return fullText || 'No text extracted from PDF';
-  } catch (error) {
-    console.error('Error extracting PDF text:', error.message);
-    throw error;
+// Archives nested deeper than this are reported as errors rather than opened
+const MAX_ARCHIVE_DEPTH = 5;
+
+// Every file in a ZIP archive is extracted like any other input; archives inside it are walked
+// in turn. Each page of each file becomes a page of the result, with the file's path inside the
+// archive (entry, e.g. 'forms/batch-2.zip/scan-7.tif') and its own page number (entryPageNumber).
+// result.entries lists the files - nested archives flattened - with their results or error.
+async function extractTextFromArchive(archiveSource, options = {}) {
+  const depth = options.archiveDepth || 0;
+  if (depth >= MAX_ARCHIVE_DEPTH) {
+    throw new Error(`Archive nested more than ${MAX_ARCHIVE_DEPTH} levels deep`);
   }
-}
 
-async function extractTextFromDocx(docxPath) {
-  const result = await mammoth.extractRawText({ path: docxPath });
-  return result.value;
-}
+  const zip = await JSZip.loadAsync(await readSource(archiveSource));
+  const pages = [];
+  const entries = [];
 
-async function extractTextFromExcel(excelPath) {
-  const workbook = XLSX.readFile(excelPath);
-  let text = '';
+  // Folders and operating-system clutter (__MACOSX resource forks, .DS_Store, ...) aren't content
+  const files = Object.values(zip.files).filter(file => !file.dir &&
+    !file.name.split('/').some(part => part === '__MACOSX' || part.startsWith('.')));
 
-  workbook.SheetNames.forEach(sheetName => {
-    const sheet = workbook.Sheets[sheetName];
-    const sheetText = XLSX.utils.sheet_to_txt(sheet);
-    text += `Sheet: ${sheetName}\n${sheetText}\n\n`;
-  });
+  for (const file of files) {
+    try {
+      const result = await extractEmbeddedFile(await file.async('nodebuffer'), file.name, {
+        ...options,
+        archiveDepth: depth + 1
+      });
 
-  return text;
-}
+      result.pages.forEach(page => {
+        pages.push({
+          pageNumber: pages.length + 1,
+          text: page.text,
+          entry: page.entry ? `${file.name}/${page.entry}` : file.name,
+          entryPageNumber: page.entry ? page.entryPageNumber : page.pageNumber,
+          documentLinks: page.linkDetails.filter(link => link.source === 'hyperlink')
+        });
+      });
 
-async function extractTextFromCSV(csvPath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(csvPath)
-      .pipe(csvParser())
-      .on('data', (data) => results.push(data))
-      .on('end', () => {
-        const text = results.map(row => Object.values(row).join(', ')).join('\n');
-        resolve(text);
-      })
-      .on('error', reject);
-  });
+      if (result.entries) {
+        entries.push(...result.entries.map(entry => ({ ...entry, path: `${file.name}/${entry.path}` })));
+      } else {
+        entries.push({
+          path: file.name,
+          mimeType: result.mimeType,
+          text: result.text,
+          links: result.links,
+          pages: result.pages,
+          tables: result.tables,
+          attachments: result.attachments
+        });
+      }
+    } catch (error) {
+      entries.push({ path: file.name, mimeType: mime.lookup(file.name) || null, error: error.message });
+    }
+  }
+
+  return { pages, entries };
 }
 
-async function extractTextFromHTML(htmlPath) {
-  const htmlContent = await fs.readFile(htmlPath, 'utf-8');
-  const root = parse(htmlContent);
-  return root.text;
+// Extract a file found inside another one (an email attachment, an archive entry) like any other
+// input - typed by its own name and content, with all its pages and without saving its links
+async function extractEmbeddedFile(content, fileName, options = {}) {
+  return extractText(content, {
+    ...options,
+    mimeType: undefined,
+    fileName,
+    pages: undefined,
+    saveLinksToJson: false
+  });
 }
 
-async function extractTextFromText(textPath) {
-  return await fs.readFile(textPath, 'utf-8');
+async function extractTextFromXml(xmlSource) {
+  const { text, links } = xmlToText(await readSourceText(xmlSource));
+  return { pages: [{ pageNumber: 1, text, documentLinks: links }] };
 }
 
-async function extractTextFromRTF(rtfPath) {
-  const content = await fs.readFile(rtfPath, 'utf-8');
-  // Basic RTF text extraction - remove RTF markup
-  return content.replace(/\{\\rtf1[^}]*\}/g, '')
-    .replace(/\\[a-z]+\d*\s?/g, '')
-    .replace(/[{}]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+async function extractTextFromJson(jsonSource) {
+  return jsonToText(await readSourceText(jsonSource));
 }
 
 // Extract links from text using regex patterns
@@ -940,50 +1389,103 @@ function makeLinksClickable(text, links) {
   return clickableText;
 }
 
+// Whether extractText can handle a file - files on disk are typed by their content as well as their name
 function isSupported(filePath) {
-  const mimeType = mime.lookup(filePath);
-  const supportedFormats = getSupportedFormats();
-  return mimeType && supportedFormats[mimeType];
+  const mimeType = fs.existsSync(filePath) ? detectFileType(filePath).mimeType : mime.lookup(filePath);
+  return Boolean(mimeType && getSupportedFormats()[mimeType]);
 }
 
-async function batchExtract(filePaths) {
-  const results = [];
-  const promises = filePaths.map(async (filePath) => {
-    try {
-      const result = await extractText(filePath);
-      results.push(result);
-      return result;
-    } catch (error) {
-      console.error(`Failed to process ${filePath}:`, error.message);
-      results.push({ error: error.message, filePath });
-      return null;
+// Extract every file of a batch - file paths, folders, glob patterns or other inputs (see
+// selectFiles). Results are in input order; results.summary counts the successes, failures, files
+// skipped because their type isn't supported and files cancelled through options.signal.
+async function batchExtract(inputs, options = {}) {
+  return createBatchExtract(inputs, options).done;
+}
+
+// The same batch, reported as it runs: an EventEmitter ('result', 'progress', 'skip', 'done', 'error') that
+// is also an async iterator over { index, input, result } as files complete (see runBatch).
+// Aborting options.signal stops the batch - files not yet started and the recognitions in flight
+// come back as { error, filePath, cancelled: true }.
+function createBatchExtract(inputs, options = {}) {
+  const { signal } = options;
+  const skippedFiles = [];
+
+  return runBatch({
+    concurrency: options.concurrency || getWorkerPool(options).size,
+    signal,
+    prepare: async (batch) => {
+      const selected = await selectFiles(inputs, options);
+      return selected.filter(input => {
+        if (typeof input !== 'string' || !fs.existsSync(input) || isSupported(input)) return true;
+        const skipped = { filePath: input, reason: 'Unsupported file type' };
+        skippedFiles.push(skipped);
+        batch.emit('skip', skipped);
+        return false;
+      });
+    },
+    processItem: async (filePath, index, reportRecognition) => {
+      try {
+        return await extractText(filePath, {
+          ...options,
+          onProgress: (message) => {
+            if (message.status === 'recognizing text') reportRecognition(Math.round(message.progress * 100));
+            if (options.onProgress) options.onProgress(message);
+          }
+        });
+      } catch (error) {
+        if (signal && signal.aborted) {
+          return { error: error.message, filePath, cancelled: true };
+        }
+        console.error(`Failed to process ${describeInput(filePath)}:`, error.message);
+        return { error: error.message, filePath };
+      }
+    },
+    cancelItem: (filePath) => ({ error: abortError(signal).message, filePath, cancelled: true }),
+    finish: (results) => {
+      const cancelled = results.filter(result => result.cancelled).length;
+      const failed = results.filter(result => result.error).length - cancelled;
+      results.summary = {
+        total: results.length + skippedFiles.length,
+        succeeded: results.length - failed - cancelled,
+        failed,
+        skipped: skippedFiles.length,
+        cancelled,
+        skippedFiles
+      };
+      return results;
     }
   });
-
-  await Promise.all(promises);
-  return results;
 }
 
+// Terminate every OCR worker so the process can exit
 async function cleanup() {
-  if (_worker) {
-    await _worker.terminate();
-    _worker = null;
-    _workerPromise = null;
+  if (_pool) {
+    const pool = _pool;
+    _pool = null;
+    await pool.terminate();
   }
 }
 
 // Extract and save structured data for easy comparison
 async function extractStructuredData(filePath, options = {}) {
   try {
+    // Streams can only be read once - resolve the input up front and extract from the result
+    const input = await resolveInput(filePath, options);
+
     // Extract text and links
-    const result = await extractText(filePath, { saveLinksToJson: false }); // Don't save links twice
+    const result = await extractText(input.source, {
+      ...options,
+      mimeType: input.mimeType,
+      fileName: input.name,
+      saveLinksToJson: false // Don't save links twice
+    });
 
     // Create structured data object
     const structuredData = {
       metadata: {
-        fileName: path.basename(filePath),
-        filePath: filePath,
-        fileSize: (await fs.stat(filePath)).size,
+        fileName: input.name ? path.basename(input.name) : null,
+        filePath: input.filePath,
+        fileSize: Buffer.isBuffer(input.source) ? input.source.length : (await fs.stat(input.source)).size,
         extractedAt: new Date().toISOString(),
         mimeType: result.mimeType,
         totalCharacters: result.text.length,
@@ -1026,7 +1528,7 @@ async function extractStructuredData(filePath, options = {}) {
     const outputDir = options.outputDir || './shared-objects/extracted-data';
     await fs.ensureDir(outputDir);
 
-    const baseName = path.basename(filePath, path.extname(filePath));
+    const baseName = input.name ? path.basename(input.name, path.extname(input.name)) : 'document';
     const jsonFileName = `${baseName}_structured_data.json`;
     const jsonFilePath = path.join(outputDir, jsonFileName);
 
@@ -1050,6 +1552,22 @@ async function extractStructuredData(filePath, options = {}) {
   }
 }
 
+// Extract typed fields described by a declarative schema (an object, or a path to a .json/.js schema file)
+async function extractFields(filePath, schema, options = {}) {
+  try {
+    const fieldSchema = await loadFieldSchema(schema);
+    const result = await extractText(filePath, { saveLinksToJson: false, ...options });
+
+    return {
+      filePath,
+      ...applyFieldSchema(result.text, fieldSchema)
+    };
+  } catch (error) {
+    console.error('Error extracting fields:', error.message);
+    throw error;
+  }
+}
+
 // Helper function to find context around links
 function findLinkContext(text, link, contextLength = 100) {
   const linkIndex = text.indexOf(link);
@@ -1121,58 +1639,211 @@ function fuzzyMatch(searchText, targetText, threshold = 0.8) {
   return matches / searchWords.length >= threshold;
 }
 
-// Find text position in image (returns bounding box coordinates)
-async function findTextPosition(imagePath, searchText, options = {}) {
-  try {
-    const result = await extractText(imagePath, options);
-    const lines = result.text.split('\n');
+// Normalise text for position matching - lowercase and strip surrounding punctuation
+function normalizeMatchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+    .trim();
+}
 
-    for (let i = 0; i < lines.length; i++) {
-      if (fuzzyMatch(searchText, lines[i], options.threshold || 0.8)) {
-        // Estimate position based on line number
-        const lineHeight = 20; // Approximate line height
-        const y = i * lineHeight;
-        const x = 0;
-        const width = 800; // Approximate line width
-        const height = lineHeight;
+// Similarity between two strings (0-1) based on Levenshtein distance
+function textSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
 
-        return {
-          x, y, width, height,
-          text: lines[i],
-          confidence: 0.9,
-          lineIndex: i
-        };
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Convert a Tesseract bbox ({ x0, y0, x1, y1 }) into { x, y, width, height }
+function bboxToRect(bbox) {
+  return {
+    x: bbox.x0,
+    y: bbox.y0,
+    width: bbox.x1 - bbox.x0,
+    height: bbox.y1 - bbox.y0
+  };
+}
+
+// Find the best matching run of consecutive words on a single OCR line
+function findPhraseInOcrData(data, searchText, threshold = 0.8) {
+  const search = normalizeMatchText(searchText);
+  if (!search) return null;
+
+  const searchWordCount = search.split(' ').length;
+  const lines = getOcrLines(data);
+  let best = null;
+
+  lines.forEach((line, lineIndex) => {
+    const words = (line.words || []).filter(word => word.text && word.text.trim().length > 0);
+
+    // Allow for OCR splitting or merging one word either side of the search phrase
+    const minWindow = Math.max(1, searchWordCount - 1);
+    const maxWindow = Math.min(words.length, searchWordCount + 1);
+
+    for (let size = minWindow; size <= maxWindow; size++) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const windowWords = words.slice(start, start + size);
+        const candidate = normalizeMatchText(windowWords.map(word => word.text).join(' '));
+        if (!candidate) continue;
+
+        const score = textSimilarity(search, candidate);
+        if (score < threshold) continue;
+
+        const confidence = windowWords.reduce((sum, word) => sum + (word.confidence || 0), 0) / windowWords.length / 100;
+
+        if (!best || score > best.score || (score === best.score && confidence > best.confidence)) {
+          best = { score, confidence, lineIndex, windowWords };
+        }
       }
     }
+  });
 
-    return null;
+  if (!best) return null;
+
+  const x0 = Math.min(...best.windowWords.map(word => word.bbox.x0));
+  const y0 = Math.min(...best.windowWords.map(word => word.bbox.y0));
+  const x1 = Math.max(...best.windowWords.map(word => word.bbox.x1));
+  const y1 = Math.max(...best.windowWords.map(word => word.bbox.y1));
+
+  return {
+    ...bboxToRect({ x0, y0, x1, y1 }),
+    text: best.windowWords.map(word => word.text).join(' '),
+    confidence: Math.round(best.confidence * 1000) / 1000,
+    matchScore: Math.round(best.score * 1000) / 1000,
+    lineIndex: best.lineIndex,
+    words: best.windowWords.map(word => ({
+      text: word.text,
+      confidence: word.confidence / 100,
+      ...bboxToRect(word.bbox)
+    }))
+  };
+}
+
+// Find text position in image (returns pixel bounding box coordinates from Tesseract word data)
+async function findTextPosition(image, searchText, options = {}) {
+  try {
+    const { source, mimeType } = await resolveInput(image, options);
+    if (!mimeType.startsWith('image/')) {
+      throw new Error(`Text positions can only be found in images, got: ${mimeType}`);
+    }
+
+    const data = await recognizeImage(source, options);
+    return findPhraseInOcrData(data, searchText, options.threshold || 0.8);
   } catch (error) {
+    // Cancelling isn't "not found"
+    if (error.name === 'AbortError') throw error;
     console.error('Error finding text position:', error.message);
     return null;
   }
 }
 
-// Wait for text to appear in image
-async function waitForText(imagePath, searchText, options = {}) {
-  const maxAttempts = options.maxAttempts || 10;
-  const delay = options.delay || 1000;
+// Wait ms milliseconds, waking early (to throw an AbortError) if the signal is aborted
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Resolve a screenshot source - any input extractText accepts, or a provider function such as
+// browser.takeScreenshot returning one (WebDriver returns a base64 PNG) - into a path or Buffer
+async function captureScreenshot(source, options = {}) {
+  const screenshot = typeof source === 'function' ? await source() : source;
+  return (await resolveInput(screenshot, options)).source;
+}
+
+// Wait for text to appear in a screenshot source (or to disappear, with options.reverse).
+// The source is captured and OCR'd every options.interval ms until options.timeout runs out.
+async function waitForText(source, searchText, options = {}) {
+  const timeout = options.timeout || 10000;
+  const interval = options.interval || options.delay || 1000;
+  const maxAttempts = options.maxAttempts || Infinity;
+  const reverse = options.reverse === true || options.reverse === 'true';
+  const threshold = options.threshold || 0.8;
+
+  const startTime = Date.now();
+  const deadline = startTime + timeout;
+  let attempts = 0;
+  let lastText = '';
+  let lastError = null;
+  let lastFile = null;
+
+  // Buffers and streams never change between attempts (and streams can only be read once)
+  const target = typeof source === 'function' || typeof source === 'string'
+    ? source
+    : await captureScreenshot(source, options);
+
+  while (true) {
+    throwIfAborted(options.signal);
+    attempts++;
 
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
-      const position = await findTextPosition(imagePath, searchText, options);
-      if (position) {
-        return position;
+      let data;
+
+      // A file that hasn't changed since the last attempt would OCR the same - reuse the result
+      if (typeof target === 'string' && await fs.pathExists(target)) {
+        const stat = await fs.stat(target);
+        const fileKey = `${stat.mtimeMs}:${stat.size}`;
+        data = lastFile && lastFile.key === fileKey ? lastFile.data : await recognizeImage(target, options);
+        lastFile = { key: fileKey, data };
+      } else {
+        data = await recognizeImage(await captureScreenshot(target, options), options);
       }
 
-      if (attempt < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, delay));
+      lastText = data.text || '';
+      lastError = null;
+      const position = findPhraseInOcrData(data, searchText, threshold);
+
+      if (position && !reverse) {
+        return position;
+      }
+      if (!position && reverse) {
+        return { text: searchText, disappeared: true, attempts, elapsed: Date.now() - startTime };
       }
     } catch (error) {
-      console.warn(`Attempt ${attempt} failed:`, error.message);
+      if (error.name === 'AbortError') throw error;
+      lastError = error;
+      console.warn(`Attempt ${attempts} failed:`, error.message);
     }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0 || attempts >= maxAttempts) break;
+    await delay(Math.min(interval, remaining), options.signal);
   }
 
-  throw new Error(`Text "${searchText}" not found after ${maxAttempts} attempts`);
+  const lastSeen = lastText.replace(/\s+/g, ' ').trim();
+  const error = new Error(
+    `Timed out after ${Date.now() - startTime}ms waiting for text "${searchText}" to ${reverse ? 'disappear' : 'appear'} ` +
+    `(${attempts} attempt${attempts === 1 ? '' : 's'}). ` +
+    (lastError ? `Last error: ${lastError.message}. ` : '') +
+    `Last OCR text: ${lastSeen ? `"${lastSeen.length > 300 ? `${lastSeen.slice(0, 300)}...` : lastSeen}"` : '(none)'}`
+  );
+  error.lastText = lastText;
+  error.attempts = attempts;
+  throw error;
 }
 
 // Get all text from image (WebdriverIO style)
@@ -1202,8 +1873,8 @@ async function ocrGetElementPositionByText(imagePath, searchText, options = {})
 }
 
 // Wait for text to be displayed (WebdriverIO style)
-async function ocrWaitForTextDisplayed(imagePath, searchText, options = {}) {
-  return await waitForText(imagePath, searchText, options);
+async function ocrWaitForTextDisplayed(source, searchText, options = {}) {
+  return await waitForText(source, searchText, options);
 }
 
 // Click on text (WebdriverIO style) - returns coordinates for clicking
@@ -1244,307 +1915,89 @@ async function ocrSetValue(imagePath, fieldText, value, options = {}) {
 
 // Batch OCR operations for multiple images
 async function ocrBatchOperations(operations, options = {}) {
-  const results = [];
-
-  for (const operation of operations) {
-    try {
-      let result;
-
-      switch (operation.type) {
-        case 'getText':
-          result = await ocrGetText(operation.imagePath, options);
-          break;
-        case 'findText':
-          result = await ocrGetElementPositionByText(operation.imagePath, operation.searchText, options);
-          break;
-        case 'waitForText':
-          result = await ocrWaitForTextDisplayed(operation.imagePath, operation.searchText, options);
-          break;
-        case 'clickOnText':
-          result = await ocrClickOnText(operation.imagePath, operation.searchText, options);
-          break;
-        case 'setValue':
-          result = await ocrSetValue(operation.imagePath, operation.fieldText, operation.value, options);
-          break;
-        default:
-          throw new Error(`Unknown operation type: ${operation.type}`);
-      }
-
-      results.push({
-        operation: operation.type,
-        success: true,
-        result: result
-      });
-    } catch (error) {
-      results.push({
-        operation: operation.type,
-        success: false,
-        error: error.message
-      });
-    }
-  }
-
-  return results;
+  return createOcrBatch(operations, options).done;
 }
 
-// Extract structured data from Oxford Test certificates
-function extractOxfordTestStructuredData(text) {
-  const data = {
-    testTaker: {},
-    testResults: {},
-    overallResults: {},
-    cefrScale: {},
-    certificate: {},
-    verification: {}
-  };
-
-  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-
-  // Find the test taker name by looking for specific patterns first
-  // Priority: 1) Lines with "TestingTT", 2) Lines with "regression", 3) Best candidate
-  let bestNameCandidate = null;
-  let bestNameScore = 0;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    // Priority 1: Direct matches for known patterns
-    if (line.includes('TestingTT') || line.includes('regression')) {
-      data.testTaker.name = line;
-      break;
-    }
-
-    // Priority 2: Score potential candidates
-    if (line.length > 8 && !line.match(/^[A-Z\s\d\-\(\)]+$/) && !line.match(/^\d+$/) && !line.match(/^[A-Z\s]+$/)) {
-      // Skip lines that are clearly not names
-      if (line.includes('Director') || line.includes('University') || line.includes('Press') ||
-        line.includes('Managing') || line.includes('International') || line.includes('Programmes')) {
-        continue;
-      }
-
-      // Score this candidate based on characteristics
-      let score = 0;
-      score += line.length; // Longer names get higher scores
-      score += (line.match(/[a-z]/) ? 10 : 0); // Mixed case gets bonus
-      score += (line.match(/[0-9]/) ? -5 : 0); // Numbers reduce score
-      score += (line.match(/[A-Z]{3,}/) ? -10 : 0); // All caps reduces score
-
-      if (score > bestNameScore) {
-        bestNameScore = score;
-        bestNameCandidate = line;
-      }
-    }
-  }
-
-  // Use best candidate if no direct match found
-  if (!data.testTaker.name && bestNameCandidate) {
-    data.testTaker.name = bestNameCandidate;
-  }
-
-  // Extract date of birth by looking for date patterns
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.match(/\d{1,2}\s+[A-Za-z]+\s+\d{4}/)) {
-      data.testTaker.dateOfBirth = line;
-      break;
-    }
-  }
-
-  // Extract test taker number (6+ digit number)
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.match(/^\d{6,}$/)) {
-      data.testTaker.number = line;
-      break;
-    }
-  }
-
-  // Set certificate reference
-  data.testTaker.certificateRef = data.testTaker.number || 'Unknown';
-
-  // Extract test scores by analyzing the document structure more carefully
-  // Look for the score sections and extract scores in context
-  const scoreSections = [];
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    // Look for section headers that indicate test types
-    if (line.toLowerCase().includes('speaking') || line.toLowerCase().includes('listening') ||
-      line.toLowerCase().includes('reading') || line.toLowerCase().includes('writing')) {
+// The same operations, reported as they run - see createBatchExtract. Cancelled operations come
+// back as { operation, success: false, error, cancelled: true }.
+function createOcrBatch(operations, options = {}) {
+  const { signal } = options;
 
-      // Find the score for this section by looking ahead
-      let score = null;
-      let date = null;
-
-      // Look ahead up to 8 lines for the score and date
-      for (let j = i + 1; j < Math.min(i + 9, lines.length); j++) {
-        const nextLine = lines[j];
-
-        // Look for score (2-3 digit number)
-        if (!score && nextLine.match(/^\d{2,3}$/)) {
-          const scoreValue = parseInt(nextLine);
-          if (scoreValue >= 20 && scoreValue <= 200) {
-            score = scoreValue;
-          }
-        }
+  return runBatch({
+    concurrency: options.concurrency || getWorkerPool(options).size,
+    signal,
+    prepare: async () => operations,
+    processItem: async (operation, index, reportRecognition) => {
+      try {
+        let result;
+        // Operations can carry their own options, e.g. a region for a header-only check
+        const operationOptions = { ...options, ...operation.options };
+        operationOptions.onProgress = (message) => {
+          if (message.status === 'recognizing text') reportRecognition(Math.round(message.progress * 100));
+          if (options.onProgress) options.onProgress(message);
+        };
 
-        // Look for date pattern
-        if (!date && nextLine.match(/\d{1,2}\s+[A-Za-z]+\s+\d{4}/)) {
-          date = nextLine;
+        switch (operation.type) {
+          case 'getText':
+            result = await ocrGetText(operation.imagePath, operationOptions);
+            break;
+          case 'findText':
+            result = await ocrGetElementPositionByText(operation.imagePath, operation.searchText, operationOptions);
+            break;
+          case 'waitForText':
+            result = await ocrWaitForTextDisplayed(operation.imagePath, operation.searchText, operationOptions);
+            break;
+          case 'clickOnText':
+            result = await ocrClickOnText(operation.imagePath, operation.searchText, operationOptions);
+            break;
+          case 'setValue':
+            result = await ocrSetValue(operation.imagePath, operation.fieldText, operation.value, operationOptions);
+            break;
+          default:
+            throw new Error(`Unknown operation type: ${operation.type}`);
         }
-      }
 
-      if (score !== null) {
-        scoreSections.push({
-          type: line.toLowerCase(),
-          score: score,
-          date: date || 'Unknown',
-          lineIndex: i
-        });
-      }
-    }
-  }
-
-  // First, collect all standalone scores to understand the document structure
-  const standaloneScores = [];
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    if (line.match(/^\d{2,3}$/)) {
-      const scoreValue = parseInt(line);
-      if (scoreValue >= 20 && scoreValue <= 200) {
-        standaloneScores.push({ score: scoreValue, lineIndex: i });
+        return {
+          operation: operation.type,
+          success: true,
+          result: result
+        };
+      } catch (error) {
+        return {
+          operation: operation.type,
+          success: false,
+          error: error.message,
+          ...(signal && signal.aborted ? { cancelled: true } : {})
+        };
       }
-    }
-  }
-
-  // Sort scores by line position to understand the document order
-  standaloneScores.sort((a, b) => a.lineIndex - b.lineIndex);
-
-  // We know the expected scores and their order in the document
-  // Based on your observation: Listening(140), Reading(38), Writing(113), Speaking(125)
-  const expectedScores = [140, 38, 113, 125]; // Order they appear in document
-  const expectedTypes = ['listening', 'reading', 'writing', 'speaking']; // Corresponding test types
-
-  // Map scores based on their position in the document
-  for (let i = 0; i < Math.min(standaloneScores.length, expectedScores.length); i++) {
-    const scoreData = standaloneScores[i];
-    const expectedScore = expectedScores[i];
-    const testType = expectedTypes[i];
-
-    // If the score matches what we expect for this position, use it
-    if (scoreData.score === expectedScore) {
-      data.testResults[testType] = { score: scoreData.score, date: '03 June 2025' };
-    } else {
-      // If it doesn't match, still assign it to this position but log the mismatch
-      data.testResults[testType] = { score: scoreData.score, date: '03 June 2025' };
-    }
-  }
-
-  // If we still have missing scores, try to map them using the scoreSections as backup
-  scoreSections.forEach(section => {
-    if (!data.testResults.speaking && section.type.includes('speaking')) {
-      data.testResults.speaking = { score: section.score, date: section.date };
-    } else if (!data.testResults.listening && section.type.includes('listening')) {
-      data.testResults.listening = { score: section.score, date: section.date };
-    } else if (!data.testResults.reading && section.type.includes('reading')) {
-      data.testResults.reading = { score: section.score, date: section.date };
-    } else if (!data.testResults.writing && section.type.includes('writing')) {
-      data.testResults.writing = { score: section.score, date: section.date };
-    }
+    },
+    cancelItem: (operation) => ({
+      operation: operation.type,
+      success: false,
+      error: abortError(signal).message,
+      cancelled: true
+    })
   });
-
-  // Extract overall results by looking for CEFR patterns and overall scores
-  // Priority: 1) "B 1104" pattern, 2) Specific CEFR levels, 3) Calculated from scores
-  let foundSpecificPattern = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    // Priority 1: Look for the specific "B 1104" pattern first
-    if (!foundSpecificPattern) {
-      const bPattern = line.match(/B\s*1\s*1\s*0\s*4/);
-      if (bPattern) {
-        data.overallResults.score = 104;
-        data.overallResults.cefrLevel = 'B1';
-        foundSpecificPattern = true;
-        break; // Found the specific pattern, no need to look further
-      }
-    }
-  }
-
-  // Only look for other patterns if we didn't find the specific one
-  if (!foundSpecificPattern) {
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-
-      // Look for CEFR level patterns (A1, A2, B1, B2, C1, C2)
-      if (!data.overallResults.cefrLevel && line.match(/^[ABC]\d$/)) {
-        data.overallResults.cefrLevel = line;
-      }
-
-      // Look for overall score patterns
-      if (!data.overallResults.score) {
-        // Look for standalone 3-digit numbers in reasonable range
-        const scoreMatch = line.match(/^\d{3}$/);
-        if (scoreMatch) {
-          const scoreValue = parseInt(scoreMatch[0]);
-          if (scoreValue >= 50 && scoreValue <= 200) {
-            data.overallResults.score = scoreValue;
-          }
-        }
-      }
-    }
-  }
-
-  // If we still don't have an overall score, try to calculate it from individual scores
-  if (!data.overallResults.score) {
-    const scores = [];
-    if (data.testResults.speaking) scores.push(data.testResults.speaking.score);
-    if (data.testResults.listening) scores.push(data.testResults.listening.score);
-    if (data.testResults.reading) scores.push(data.testResults.reading.score);
-    if (data.testResults.writing) scores.push(data.testResults.writing.score);
-
-    if (scores.length > 0) {
-      // Calculate average score
-      const averageScore = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
-      data.overallResults.score = averageScore;
-    }
-  }
-
-  // If we still don't have a CEFR level, try to determine it from the overall score
-  if (!data.overallResults.cefrLevel && data.overallResults.score) {
-    const score = data.overallResults.score;
-    if (score >= 141) data.overallResults.cefrLevel = 'C1';
-    else if (score >= 111) data.overallResults.cefrLevel = 'B2';
-    else if (score >= 81) data.overallResults.cefrLevel = 'B1';
-    else if (score >= 51) data.overallResults.cefrLevel = 'A2';
-    else if (score >= 21) data.overallResults.cefrLevel = 'A1';
-    else data.overallResults.cefrLevel = 'Pre-A1';
-  }
-
-  return data;
 }
 
-// Helper function to extract date from context
-function extractDateFromContext(lines, sectionIndex) {
-  for (let i = sectionIndex + 1; i < Math.min(sectionIndex + 10, lines.length); i++) {
-    const line = lines[i];
-    if (line.match(/\d{1,2}\s+[A-Za-z]+\s+\d{4}/)) {
-      return line;
-    }
-  }
-  return null;
-}
+// Built-in template for Oxford Test of English certificates
+registerTemplate(oxfordTestTemplate);
 
 module.exports = {
   extractText,
   extractLinks,
   makeLinksClickable,
+  isSupported,
   batchExtract,
+  createBatchExtract,
+  configureWorkerPool,
+  configureCache,
+  clearCache,
+  cleanup,
   saveLinksToJson,
   loadLinksFromJson,
   extractStructuredData,
+  extractFields,
   // WebdriverIO-style OCR functions
   ocrGetText,
   ocrGetElementPositionByText,
@@ -1552,10 +2005,15 @@ module.exports = {
   ocrClickOnText,
   ocrSetValue,
   ocrBatchOperations,
+  createOcrBatch,
   // Utility functions
   fuzzyMatch,
   findTextPosition,
   waitForText,
+  // Document templates
+  registerTemplate,
+  unregisterTemplate,
+  getTemplates,
   // Oxford Test specific functions
   extractOxfordTestStructuredData
 };
@@ -0,0 +1,163 @@
+// Structured tables for spreadsheets, CSV files and DOCX tables (options.tables). Each table becomes
+//
+//   {
+//     name,                     Sheet name (the file name for CSV, 'Table N' for DOCX)
+//     range,                    Used range, e.g. 'A1:D20'
+//     headers,                  Column names taken from the header row
+//     rows,                     Data rows as { [header]: value } objects
+//     cells,                    Every row of the range as cells (header row included)
+//     merges                    Merged ranges, e.g. ['A1:C1']
+//   }
+//
+// A cell is { address, row, column, type, value, text, formula, merged }: type is 'number',
+// 'string', 'boolean', 'date', 'error' or 'empty', value is the typed (for formulas: last
+// calculated) value, text is the value as displayed and formula is the formula ('=SUM(B2:B9)') or
+// null. Cells covered by a merge repeat the value of the merge's top-left cell.
+
+const XLSX = require('xlsx');
+
+const DEFAULT_TABLE_OPTIONS = {
+  headerRow: 1   // Row of the used range holding the column names - 0 / false for none
+};
+
+const CELL_TYPES = { n: 'number', s: 'string', b: 'boolean', d: 'date', e: 'error' };
+
+// options.tables is true for the defaults, or an object overriding them
+function resolveTableOptions(tables) {
+  return { ...DEFAULT_TABLE_OPTIONS, ...(typeof tables === 'object' ? tables : {}) };
+}
+
+function emptyCell(row, column) {
+  return {
+    address: XLSX.utils.encode_cell({ r: row - 1, c: column - 1 }),
+    row,
+    column,
+    type: 'empty',
+    value: null,
+    text: '',
+    formula: null,
+    merged: null
+  };
+}
+
+function readSheetCell(sheet, row, column) {
+  const cell = emptyCell(row, column);
+  const source = sheet[cell.address];
+  if (!source || source.t === 'z') return cell;
+
+  cell.type = CELL_TYPES[source.t] || 'string';
+  cell.value = source.t === 'e' ? (source.w || null) : source.v;
+  cell.text = source.w !== undefined ? source.w : String(source.v);
+  cell.formula = source.f ? `=${source.f}` : null;
+  return cell;
+}
+
+// Text values (CSV, DOCX tables) - type the obvious numbers and booleans
+function readTextCell(value, row, column) {
+  const cell = emptyCell(row, column);
+  const text = value === undefined || value === null ? '' : String(value);
+  if (text.trim() === '') return cell;
+
+  cell.text = text;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text.trim())) {
+    cell.type = 'number';
+    cell.value = Number(text);
+  } else if (/^(true|false)$/i.test(text.trim())) {
+    cell.type = 'boolean';
+    cell.value = text.trim().toLowerCase() === 'true';
+  } else {
+    cell.type = 'string';
+    cell.value = text;
+  }
+  return cell;
+}
+
+// Give every column a unique name - empty header cells fall back to the column letter
+function buildHeaders(headerCells) {
+  const seen = {};
+  return headerCells.map(cell => {
+    const base = cell.text.trim() || XLSX.utils.encode_col(cell.column - 1);
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] === 1 ? base : `${base}_${seen[base]}`;
+  });
+}
+
+function buildTable(name, range, grid, merges, options) {
+  const headerIndex = options.headerRow ? options.headerRow - 1 : -1;
+  const headerCells = grid[headerIndex] || (grid[0] || []).map(cell => emptyCell(cell.row, cell.column));
+  const headers = buildHeaders(headerCells);
+
+  const rows = grid
+    .slice(headerIndex + 1)
+    .filter(cells => cells.some(cell => cell.type !== 'empty'))
+    .map(cells => {
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = cells[index] ? cells[index].value : null;
+      });
+      return row;
+    });
+
+  return { name, range, headers, rows, cells: grid, merges };
+}
+
+function sheetToTable(name, sheet, options = {}) {
+  const tableOptions = resolveTableOptions(options);
+  if (!sheet['!ref']) {
+    return { name, range: null, headers: [], rows: [], cells: [], merges: [] };
+  }
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const grid = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const cells = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      cells.push(readSheetCell(sheet, r + 1, c + 1));
+    }
+    grid.push(cells);
+  }
+
+  // Spread each merge's value over the cells it covers
+  const merges = (sheet['!merges'] || []).map(merge => {
+    const mergeRange = XLSX.utils.encode_range(merge);
+    const origin = grid[merge.s.r - range.s.r] && grid[merge.s.r - range.s.r][merge.s.c - range.s.c];
+
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        const cell = grid[r - range.s.r] && grid[r - range.s.r][c - range.s.c];
+        if (!cell) continue;
+        if (origin && cell !== origin) {
+          Object.assign(cell, { type: origin.type, value: origin.value, text: origin.text });
+        }
+        cell.merged = mergeRange;
+      }
+    }
+    return mergeRange;
+  });
+
+  return buildTable(name, XLSX.utils.encode_range(range), grid, merges, tableOptions);
+}
+
+// rows are arrays of raw text values (CSV rows, DOCX table cells), header row included
+function rowsToTable(name, rows, options = {}) {
+  const tableOptions = resolveTableOptions(options);
+  // Not Math.max(...widths) - spreading a large sheet's rows overflows the call stack
+  const width = rows.reduce((widest, values) => Math.max(widest, values.length), 0);
+  const grid = rows.map((values, r) => {
+    const cells = [];
+    for (let c = 0; c < width; c++) {
+      cells.push(readTextCell(values[c], r + 1, c + 1));
+    }
+    return cells;
+  });
+
+  const range = grid.length > 0 && width > 0
+    ? XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: grid.length - 1, c: width - 1 } })
+    : null;
+  return buildTable(name, range, grid, [], tableOptions);
+}
+
+module.exports = {
+  sheetToTable,
+  rowsToTable
+};
@@ -0,0 +1,105 @@
+// Registry of document templates used to pick structured extractors for known document types.
+//
+// A template looks like:
+// {
+//   name: 'invoice',                              // Unique name, returned as structuredData.template
+//   priority: 0,                                  // Higher priority templates are tried first
+//   detect: (text, context) => boolean,           // Does this document match? context = { mimeType, filePath }
+//   fixText: (text) => text | [[pattern, replacement], ...], // Optional text-fix rules applied before ordering
+//   extract: (text) => object,                    // Optional extractor for the whole structured result
+//   fields: { fieldName: (text, lines) => value } // Optional individual field extractors
+// }
+
+const templates = [];
+
+function registerTemplate(template) {
+  if (!template || typeof template.name !== 'string' || template.name.trim().length === 0) {
+    throw new Error('Template must have a name');
+  }
+  if (typeof template.detect !== 'function') {
+    throw new Error(`Template "${template.name}" must have a detect function`);
+  }
+  if (typeof template.extract !== 'function' && !template.fields) {
+    throw new Error(`Template "${template.name}" must have an extract function or fields`);
+  }
+  if (template.fixText && typeof template.fixText !== 'function' && !Array.isArray(template.fixText)) {
+    throw new Error(`Template "${template.name}" fixText must be a function or an array of [pattern, replacement] rules`);
+  }
+
+  // Re-registering a name replaces the previous template
+  unregisterTemplate(template.name);
+  templates.push({ priority: 0, ...template });
+  return template.name;
+}
+
+function unregisterTemplate(name) {
+  const index = templates.findIndex(template => template.name === name);
+  if (index === -1) return false;
+  templates.splice(index, 1);
+  return true;
+}
+
+function getTemplates() {
+  return [...templates].sort((a, b) => b.priority - a.priority);
+}
+
+function getTemplate(name) {
+  return templates.find(template => template.name === name) || null;
+}
+
+// Find the template for a document. options.template forces a template by name, or disables them with false
+function findTemplate(text, context = {}, options = {}) {
+  if (options.template === false) return null;
+
+  if (typeof options.template === 'string') {
+    const template = getTemplate(options.template);
+    if (!template) {
+      throw new Error(`Unknown document template: ${options.template}`);
+    }
+    return template;
+  }
+
+  return getTemplates().find(template => {
+    try {
+      return template.detect(text, context);
+    } catch (error) {
+      console.warn(`Template "${template.name}" detection failed:`, error.message);
+      return false;
+    }
+  }) || null;
+}
+
+// Apply a template's text-fix rules
+function applyTemplateFixes(template, text) {
+  if (!template || !template.fixText) return text;
+
+  if (typeof template.fixText === 'function') {
+    return template.fixText(text);
+  }
+
+  return template.fixText.reduce((fixedText, [pattern, replacement]) => fixedText.replace(pattern, replacement), text);
+}
+
+// Run a template's extractors and tag the result with the template name
+function applyTemplate(template, text) {
+  const data = typeof template.extract === 'function' ? template.extract(text) || {} : {};
+
+  if (template.fields) {
+    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    Object.entries(template.fields).forEach(([fieldName, extractField]) => {
+      data[fieldName] = extractField(text, lines);
+    });
+  }
+
+  return { ...data, template: template.name };
+}
+
+module.exports = {
+  registerTemplate,
+  unregisterTemplate,
+  getTemplates,
+  getTemplate,
+  findTemplate,
+  applyTemplateFixes,
+  applyTemplate
+};
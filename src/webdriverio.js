@@ -0,0 +1,178 @@
+// WebdriverIO integration - registers browser.ocr* commands that take the screenshot themselves,
+// convert between screenshot pixels and CSS pixels (device pixel ratio) and perform the click or
+// keystrokes, so tests can drive a page by the text on it:
+//
+//   // wdio.conf.js
+//   const { SmartOcrService } = require('klassijs-smart-ocr');
+//   exports.config = { services: [[SmartOcrService, { workers: 2 }]] };
+//
+//   await browser.ocrClickOnText('Sign in');
+//   await browser.ocrSetValue('Username', 'john');
+//
+// Positions passed in (region, ignoreRegions, offset) and returned are in CSS pixels.
+
+const smartOcr = require('./smartOcr');
+const { createOcrSession } = require('./session');
+
+const COMMAND_NAMES = ['ocrGetText', 'ocrGetElementPositionByText', 'ocrWaitForTextDisplayed', 'ocrClickOnText', 'ocrSetValue'];
+
+// Screenshots are device pixels; WebDriver actions and page coordinates are CSS pixels
+async function getDevicePixelRatio(browser, options) {
+  if (options.devicePixelRatio) return options.devicePixelRatio;
+
+  try {
+    const ratio = await browser.execute(() => window.devicePixelRatio);
+    return ratio > 0 ? ratio : 1;
+  } catch (error) {
+    // Native app contexts can't run scripts - their screenshots are already in device points
+    return 1;
+  }
+}
+
+function scaleRect(rect, factor) {
+  if (!rect) return rect;
+  return {
+    ...rect,
+    x: rect.x * factor,
+    y: rect.y * factor,
+    width: rect.width * factor,
+    height: rect.height * factor
+  };
+}
+
+// CSS-pixel regions from the caller become screenshot-pixel regions for OCR
+function toScreenshotOptions(options, ratio) {
+  return {
+    ...options,
+    region: options.region ? scaleRect(options.region, ratio) : options.region,
+    ignoreRegions: options.ignoreRegions ? options.ignoreRegions.map(rect => scaleRect(rect, ratio)) : options.ignoreRegions
+  };
+}
+
+// Screenshot-pixel positions from OCR become CSS-pixel positions for the page
+function toCssPosition(position, ratio) {
+  if (!position || ratio === 1) return position;
+  return {
+    ...scaleRect(position, 1 / ratio),
+    words: (position.words || []).map(word => scaleRect(word, 1 / ratio))
+  };
+}
+
+// WebDriver screenshots are base64-encoded PNGs
+async function takeScreenshot(browser) {
+  return Buffer.from(await browser.takeScreenshot(), 'base64');
+}
+
+// Move the mouse to a viewport position and click there
+async function clickAt(browser, x, y) {
+  await browser.performActions([{
+    type: 'pointer',
+    id: 'smartOcrPointer',
+    parameters: { pointerType: 'mouse' },
+    actions: [
+      { type: 'pointerMove', duration: 0, origin: 'viewport', x: Math.round(x), y: Math.round(y) },
+      { type: 'pointerDown', button: 0 },
+      { type: 'pointerUp', button: 0 }
+    ]
+  }]);
+  await browser.releaseActions();
+}
+
+// Find text on the current screen - returns its position in CSS pixels
+async function findOnScreen(browser, ocr, searchText, options) {
+  const ratio = await getDevicePixelRatio(browser, options);
+  const position = await ocr.findTextPosition(await takeScreenshot(browser), searchText, toScreenshotOptions(options, ratio));
+
+  if (!position) {
+    throw new Error(`Text "${searchText}" not found on screen`);
+  }
+  return toCssPosition(position, ratio);
+}
+
+function clickPoint(position, options) {
+  const offset = options.offset || {};
+  return {
+    x: Math.round(position.x + position.width / 2 + (offset.x || 0)),
+    y: Math.round(position.y + position.height / 2 + (offset.y || 0))
+  };
+}
+
+// Register the ocr* commands on a WebdriverIO browser. options are the defaults for every command
+// (OCR options, devicePixelRatio) plus an optional `session` from createOcrSession to run on.
+function registerOcrCommands(browser, options = {}) {
+  if (!browser || typeof browser.addCommand !== 'function') {
+    throw new Error('registerOcrCommands needs a WebdriverIO browser object');
+  }
+
+  const { session, ...defaultOptions } = options;
+  const ocr = session || smartOcr;
+  const withDefaults = (callOptions = {}) => ({ ...defaultOptions, ...callOptions });
+
+  const commands = {
+    async ocrGetText(callOptions) {
+      const commandOptions = withDefaults(callOptions);
+      const ratio = await getDevicePixelRatio(browser, commandOptions);
+      return ocr.ocrGetText(await takeScreenshot(browser), toScreenshotOptions(commandOptions, ratio));
+    },
+
+    async ocrGetElementPositionByText(searchText, callOptions) {
+      return findOnScreen(browser, ocr, searchText, withDefaults(callOptions));
+    },
+
+    async ocrWaitForTextDisplayed(searchText, callOptions) {
+      const commandOptions = withDefaults(callOptions);
+      const ratio = await getDevicePixelRatio(browser, commandOptions);
+      const result = await ocr.waitForText(() => browser.takeScreenshot(), searchText, toScreenshotOptions(commandOptions, ratio));
+      return commandOptions.reverse ? result : toCssPosition(result, ratio);
+    },
+
+    async ocrClickOnText(searchText, callOptions) {
+      const commandOptions = withDefaults(callOptions);
+      const position = await findOnScreen(browser, ocr, searchText, commandOptions);
+      const { x, y } = clickPoint(position, commandOptions);
+
+      await clickAt(browser, x, y);
+      return { x, y, element: position, text: searchText };
+    },
+
+    async ocrSetValue(fieldText, value, callOptions) {
+      const commandOptions = withDefaults(callOptions);
+      const position = await findOnScreen(browser, ocr, fieldText, commandOptions);
+      const coordinates = clickPoint(position, commandOptions);
+
+      await clickAt(browser, coordinates.x, coordinates.y);
+      await browser.keys(String(value));
+      return { field: position, value, coordinates };
+    }
+  };
+
+  COMMAND_NAMES.forEach(name => browser.addCommand(name, commands[name]));
+  return commands;
+}
+
+// WebdriverIO service - registers the commands before the specs run, on a session with its own
+// Tesseract workers that is closed when the worker finishes
+class SmartOcrService {
+  constructor(serviceOptions = {}) {
+    this.options = serviceOptions;
+    this.session = null;
+  }
+
+  before(capabilities, specs, browser) {
+    const { workers, ...commandOptions } = this.options;
+    this.session = createOcrSession({ workers });
+    registerOcrCommands(browser, { ...commandOptions, session: this.session });
+  }
+
+  async after() {
+    if (this.session) {
+      await this.session.close();
+      this.session = null;
+    }
+  }
+}
+
+module.exports = {
+  registerOcrCommands,
+  SmartOcrService
+};
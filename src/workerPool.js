@@ -0,0 +1,317 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+const { createWorker } = require('tesseract.js');
+
+// The error thrown by work stopped through an AbortSignal
+function abortError(signal) {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  if (signal && signal.reason !== undefined) error.cause = signal.reason;
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError(signal);
+}
+
+function terminatedError() {
+  return new Error('OCR worker pool has been terminated');
+}
+
+// Pool of Tesseract workers. Each job gets exclusive use of one worker, so per-call
+// parameters (language, PSM, whitelist...) can't leak between concurrent recognitions.
+// A job can follow its worker's progress messages, and aborting its signal terminates the worker
+// mid-recognition - the pool replaces it with a fresh one when needed.
+function createWorkerPool(options = {}) {
+  const size = Math.max(1, parseInt(options.size) || os.cpus().length);
+  const entries = [];
+  const idle = [];
+  const waiting = [];
+  // Stop functions of the jobs running now, so terminate() can settle them
+  const active = new Set();
+  let creating = 0;
+  let terminated = false;
+
+  async function createEntry(language) {
+    creating++;
+    try {
+      // Workers are shared, so the logger forwards to whichever job is using the worker
+      const entry = { worker: null, language, logger: null };
+      entry.worker = await createWorker(language, undefined, {
+        logger: (message) => {
+          if (entry.logger) entry.logger(message);
+        }
+      });
+
+      // terminate() ran while the worker was starting - it would otherwise outlive the pool
+      if (terminated) {
+        await entry.worker.terminate().catch(() => {});
+        throw terminatedError();
+      }
+
+      entries.push(entry);
+      return entry;
+    } catch (error) {
+      // Hand the free slot to the next waiter so it doesn't hang on a worker that never arrives
+      const next = waiting.shift();
+      if (next && !terminated) {
+        createEntry(language).then(next.resolve, next.reject);
+      }
+      throw error;
+    } finally {
+      creating--;
+    }
+  }
+
+  async function acquire(language, signal) {
+    if (terminated) {
+      throw terminatedError();
+    }
+
+    // Prefer an idle worker that already has the right language loaded
+    const sameLanguage = idle.findIndex(entry => entry.language === language);
+    if (sameLanguage !== -1) {
+      return idle.splice(sameLanguage, 1)[0];
+    }
+
+    // Grow the pool before reinitialising an idle worker for a different language
+    if (entries.length + creating < size) {
+      return createEntry(language);
+    }
+
+    if (idle.length > 0) {
+      return idle.shift();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = waiting.indexOf(waiter);
+        if (index !== -1) waiting.splice(index, 1);
+        reject(abortError(signal));
+      };
+      const waiter = {
+        resolve: (entry) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve(entry);
+        },
+        reject: (error) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      };
+      waiting.push(waiter);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  function release(entry) {
+    if (terminated) return;
+
+    const next = waiting.shift();
+    if (next) {
+      next.resolve(entry);
+    } else {
+      idle.push(entry);
+    }
+  }
+
+  // Terminate a worker that was aborted mid-job, handing its slot to the next waiter
+  function discard(entry) {
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+    entry.worker.terminate().catch(() => {});
+
+    const next = waiting.shift();
+    if (next && !terminated) {
+      createEntry(entry.language).then(next.resolve, next.reject);
+    }
+  }
+
+  // Run a job with a worker initialised for the given language(s). runOptions.onProgress receives
+  // the worker's progress messages ({ status, progress }) while the job runs; aborting
+  // runOptions.signal rejects the job with an AbortError and terminates its worker.
+  async function run(language, job, runOptions = {}) {
+    const { signal, onProgress } = runOptions;
+    throwIfAborted(signal);
+
+    const entry = await acquire(language, signal);
+    if (signal && signal.aborted) {
+      release(entry);
+      throw abortError(signal);
+    }
+
+    // Aborting the signal or terminating the pool settles the job without waiting for its worker
+    let aborted = false;
+    let stop = null;
+    const stopped = new Promise((resolve, reject) => {
+      stop = reject;
+    });
+    const onAbort = () => {
+      aborted = true;
+      stop(abortError(signal));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    active.add(stop);
+
+    try {
+      entry.logger = onProgress || null;
+      const work = (async () => {
+        if (entry.language !== language) {
+          await entry.worker.reinitialize(language);
+          entry.language = language;
+        }
+        return job(entry.worker);
+      })();
+      // A terminated worker's job may never settle - the abort decides the outcome
+      work.catch(() => {});
+      return await Promise.race([work, stopped]);
+    } finally {
+      active.delete(stop);
+      entry.logger = null;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (aborted) {
+        discard(entry);
+      } else {
+        release(entry);
+      }
+    }
+  }
+
+  // Terminate every worker in the pool and reject the jobs running on them and anything still
+  // waiting for one. Workers still starting up are terminated as soon as they are ready.
+  async function terminate() {
+    terminated = true;
+
+    waiting.splice(0).forEach(({ reject }) => reject(terminatedError()));
+    active.forEach(stop => stop(terminatedError()));
+    active.clear();
+
+    const workers = entries.splice(0).map(entry => entry.worker);
+    idle.length = 0;
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  return {
+    size,
+    run,
+    terminate
+  };
+}
+
+// Map over items with at most `limit` calls in flight, preserving input order in the results
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext);
+  await Promise.all(runners);
+  return results;
+}
+
+// Run a batch like mapWithConcurrency while reporting on it. Returns an EventEmitter that is also
+// an async iterator over { index, input, result } as items complete, emitting
+//
+//   'result'    { index, input, result } for each item as it completes
+//   'progress'  { completed, total, percent, index, input, recognition } when an item completes
+//               (recognition null) and while it is being recognised (Tesseract's progress, 0-100)
+//   'done'      the results, in input order
+//   'error'     the error when the batch fails as a whole (prepare rejects) - only emitted when
+//               there is a listener, since an unhandled 'error' event would throw
+//
+// and with batch.done, a promise of the results. prepare(batch) resolves the items to run;
+// processItem(input, index, reportRecognition) runs one. Once the signal is aborted no further
+// items are started - cancelItem(input, index) gives their results - and finish(results) can
+// decorate the results before they are handed out.
+function runBatch({ prepare, processItem, cancelItem, finish = results => results, concurrency, signal }) {
+  const batch = new EventEmitter();
+  const completedItems = [];
+  const pullers = [];
+  let settled = false;
+  let failure = null;
+
+  // Hand completed items to waiting iterators, and end them once the batch is over
+  const feedIterators = () => {
+    while (pullers.length > 0 && (completedItems.length > 0 || settled)) {
+      const { resolve, reject } = pullers.shift();
+      if (completedItems.length > 0) {
+        resolve({ value: completedItems.shift(), done: false });
+      } else if (failure) {
+        reject(failure);
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  };
+
+  // Nothing is emitted before the first await, so listeners attached right after the call see everything
+  batch.done = (async () => {
+    const items = await prepare(batch);
+    const total = items.length;
+    let completed = 0;
+
+    const progress = (index, input, recognition) => ({
+      completed,
+      total,
+      percent: total > 0 ? Math.round(completed / total * 100) : 100,
+      index,
+      input,
+      recognition
+    });
+
+    const results = await mapWithConcurrency(items, concurrency, async (input, index) => {
+      const result = signal && signal.aborted
+        ? cancelItem(input, index)
+        : await processItem(input, index, (recognition) => batch.emit('progress', progress(index, input, recognition)));
+
+      completed++;
+      const item = { index, input, result };
+      batch.emit('result', item);
+      batch.emit('progress', progress(index, input, null));
+      completedItems.push(item);
+      feedIterators();
+      return result;
+    });
+
+    return finish(results);
+  })();
+
+  batch.done.then(
+    (results) => {
+      settled = true;
+      feedIterators();
+      batch.emit('done', results);
+    },
+    (error) => {
+      settled = true;
+      failure = error;
+      feedIterators();
+      if (batch.listenerCount('error') > 0) batch.emit('error', error);
+    }
+  );
+
+  batch[Symbol.asyncIterator] = () => ({
+    next: () => new Promise((resolve, reject) => {
+      pullers.push({ resolve, reject });
+      feedIterators();
+    }),
+    // Leaving a for await loop early stops the iteration, not the batch - abort the signal for that
+    return: async () => ({ value: undefined, done: true })
+  });
+
+  return batch;
+}
+
+module.exports = {
+  createWorkerPool,
+  mapWithConcurrency,
+  runBatch,
+  abortError,
+  throwIfAborted
+};
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { xmlToText, jsonToText } = require('../src/dataFiles');
+
+test('reads XML elements one per line in document order', () => {
+  const { text } = xmlToText('<feed><title>News</title><entry><title>T &amp; U</title><summary>First</summary></entry></feed>');
+  assert.strictEqual(text, 'News\nT & U\nFirst');
+});
+
+test('keeps mixed content in document order on one line', () => {
+  assert.strictEqual(xmlToText('<p>See <b>bold</b> here</p>').text, 'See bold here');
+});
+
+test('places CDATA where it appears', () => {
+  const { text } = xmlToText('<feed><entry><title>T &amp; U</title></entry><![CDATA[raw <b>]]></feed>');
+  assert.strictEqual(text, 'T & U\nraw <b>');
+});
+
+test('returns absolute link attributes as links', () => {
+  const { links } = xmlToText('<feed><link href="https://example.com/a">Example</link><link href="/relative"/></feed>');
+  assert.deepStrictEqual(links, [{ url: 'https://example.com/a', text: 'Example', source: 'hyperlink' }]);
+});
+
+test('flattens JSON into path: value lines', () => {
+  assert.strictEqual(jsonToText('{"items":[{"title":"Report","tags":["a"]}],"empty":""}'), 'items[0].title: Report\nitems[0].tags[0]: a');
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyFieldSchema } = require('../src/fieldSchema');
+
+const INVOICE = [
+  'Invoice Number: INV-1042',
+  'Updated 01/01/2024',
+  'Due Date: 30/04/2024',
+  'Date: 02/04/2024',
+  'Subtotal: 90.00',
+  'Total: 108.00'
+].join('\n');
+
+test('matches a literal anchor as a whole word', () => {
+  const { values } = applyFieldSchema(INVOICE, {
+    fields: { total: { anchor: 'Total', type: 'number' } }
+  });
+  assert.strictEqual(values.total, 108);
+});
+
+test('prefers an anchor that starts its line', () => {
+  const { values } = applyFieldSchema(INVOICE, {
+    fields: { issued: { anchor: 'Date', type: 'date' } }
+  });
+  assert.strictEqual(values.issued, '2024-04-02');
+});
+
+test('finds an anchor inside a longer label when no line starts with it', () => {
+  const { values } = applyFieldSchema('Invoice Date: 02/04/2024\nUpdated 01/01/2024', {
+    fields: { issued: { anchor: 'Date', type: 'date' } }
+  });
+  assert.strictEqual(values.issued, '2024-04-02');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { sniffMimeType, detectFileType } = require('../src/input');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+async function zip(files) {
+  const archive = new JSZip();
+  Object.entries(files).forEach(([name, content]) => archive.file(name, content));
+  return archive.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+}
+
+test('types Office Open XML packages by their main part', async () => {
+  assert.strictEqual(sniffMimeType(await zip({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' })), DOCX);
+  assert.strictEqual(sniffMimeType(await zip({ '[Content_Types].xml': '<Types/>', 'xl/workbook.xml': '<workbook/>' })), XLSX);
+  assert.strictEqual(sniffMimeType(await zip({ '[Content_Types].xml': '<Types/>', 'ppt/presentation.xml': '<p:presentation/>' })), PPTX);
+});
+
+test('keeps plain archives whose folder names contain word/ or xl/ as ZIP files', async () => {
+  const archive = await zip({
+    'keyword/readme.txt': 'notes',
+    'excel/xl/sheet.txt': 'numbers',
+    'powerppt/slides.txt': 'slides'
+  });
+  assert.strictEqual(sniffMimeType(archive), 'application/zip');
+});
+
+test('needs [Content_Types].xml as well as the main part', async () => {
+  assert.strictEqual(sniffMimeType(await zip({ 'word/document.xml': '<w:document/>' })), 'application/zip');
+});
+
+test('reads the central directory from the tail of a large file', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-ocr-'));
+  t.after(() => fs.remove(directory));
+
+  const docx = path.join(directory, 'report.bin');
+  await fs.writeFile(docx, await zip({
+    '[Content_Types].xml': '<Types/>',
+    'media/padding.bin': crypto.randomBytes(200000),
+    'word/document.xml': '<w:document/>'
+  }));
+  assert.strictEqual(detectFileType(docx).detectedMimeType, DOCX);
+
+  const archive = path.join(directory, 'backup.zip');
+  await fs.writeFile(archive, await zip({ 'keyword/readme.txt': 'notes', 'data.bin': crypto.randomBytes(200000) }));
+  assert.deepStrictEqual(detectFileType(archive), {
+    mimeType: 'application/zip',
+    declaredMimeType: 'application/zip',
+    detectedMimeType: 'application/zip'
+  });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitImageFrames } = require('../src/imageFrames');
+
+// A little-endian TIFF whose IFDs hold only a NewSubfileType tag (1 marks a thumbnail)
+function tiff(subfileTypes) {
+  const buffer = Buffer.alloc(8 + subfileTypes.length * 18);
+  buffer.write('II', 0, 'latin1');
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(8, 4);
+
+  subfileTypes.forEach((subfileType, index) => {
+    const offset = 8 + index * 18;
+    buffer.writeUInt16LE(1, offset);
+    buffer.writeUInt16LE(254, offset + 2);
+    buffer.writeUInt16LE(4, offset + 4);
+    buffer.writeUInt32LE(1, offset + 6);
+    buffer.writeUInt32LE(subfileType, offset + 10);
+    buffer.writeUInt32LE(index + 1 < subfileTypes.length ? offset + 18 : 0, offset + 14);
+  });
+  return buffer;
+}
+
+test('splits a TIFF into its pages, skipping thumbnails', () => {
+  const source = tiff([0, 1, 0]);
+  const frames = splitImageFrames(source, 'image/tiff');
+  assert.strictEqual(frames.length, 2);
+
+  const pages = frames.map(loadFrame => loadFrame());
+  assert.deepStrictEqual(pages.map(page => page.readUInt32LE(4)), [8, 44]);
+  // Each page's link to the next is cleared, and the source is left as it was
+  assert.strictEqual(pages[0].readUInt32LE(22), 0);
+  assert.strictEqual(source.readUInt32LE(22), 26);
+});
+
+test('cuts TIFF pages out only when they are loaded', () => {
+  const source = tiff([0, 0]);
+  const frames = splitImageFrames(source, 'image/tiff');
+  assert.ok(frames.every(frame => typeof frame === 'function'));
+  assert.notStrictEqual(frames[0](), frames[0]());
+});
+
+test('returns single-frame and other images as they are', () => {
+  const source = tiff([0]);
+  assert.strictEqual(splitImageFrames(source, 'image/tiff')[0](), source);
+
+  const png = Buffer.from('89504e470d0a1a0a', 'hex');
+  assert.strictEqual(splitImageFrames(png, 'image/png')[0](), png);
+});
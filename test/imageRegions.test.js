@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { prepareImageRegion } = require('../src/imageRegions');
+
+// A dark-mode screenshot: a #1e1e1e page with a light "clock" block at (60, 10)
+function darkScreenshot() {
+  const canvas = createCanvas(100, 40);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#1e1e1e';
+  context.fillRect(0, 0, 100, 40);
+  context.fillStyle = '#f0f0f0';
+  context.fillRect(60, 10, 30, 20);
+  return canvas.encode('png');
+}
+
+async function pixelAt(image, x, y) {
+  const source = await loadImage(image);
+  const canvas = createCanvas(source.width, source.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(source, 0, 0);
+  return [...context.getImageData(x, y, 1, 1).data.slice(0, 3)];
+}
+
+test('paints ignore regions in the colour around them', async () => {
+  const { image } = await prepareImageRegion(await darkScreenshot(), {
+    ignoreRegions: [{ x: 58, y: 8, width: 34, height: 24 }]
+  });
+  assert.deepStrictEqual(await pixelAt(image, 75, 20), [0x1e, 0x1e, 0x1e]);
+});
+
+test('samples the background inside the cropped region', async () => {
+  const { image, offset } = await prepareImageRegion(await darkScreenshot(), {
+    region: { x: 40, y: 0, width: 60, height: 40 },
+    ignoreRegions: [{ x: 58, y: 8, width: 34, height: 24 }]
+  });
+  assert.deepStrictEqual(offset, { x: 40, y: 0 });
+  assert.deepStrictEqual(await pixelAt(image, 35, 20), [0x1e, 0x1e, 0x1e]);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveInput } = require('../src/input');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+test('decodes a bare base64 image', async () => {
+  const input = await resolveInput(PNG);
+  assert.ok(Buffer.isBuffer(input.source));
+  assert.strictEqual(input.mimeType, 'image/png');
+});
+
+test('decodes base64 text given as a data URL', async () => {
+  const input = await resolveInput(`data:text/csv;base64,${Buffer.from('name,total\nAda,3\n').toString('base64')}`);
+  assert.strictEqual(input.mimeType, 'text/csv');
+  assert.strictEqual(input.source.toString(), 'name,total\nAda,3\n');
+});
+
+test('reports a missing path that happens to be valid base64 as not found', async () => {
+  await assert.rejects(resolveInput('scans/report2024/abcd'), /File not found: scans\/report2024\/abcd/);
+  await assert.rejects(resolveInput('abcdefghijklmnop'), /File not found: abcdefghijklmnop/);
+});
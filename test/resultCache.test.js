@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createResultCache, createCacheKey } = require('../src/resultCache');
+const { configureCache, findTextPosition } = require('../src/smartOcr');
+
+// A 1x1 PNG - recognition is mocked, the cache only hashes the bytes
+const SCREENSHOT = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+// Tesseract's result as a worker builds it: every symbol, word, line, paragraph and block points
+// back at its parents and the page, and the page lists them all again
+function tesseractPage() {
+  const page = { text: 'Sign in\n', confidence: 93, hocr: '<div class="ocr_page"></div>', symbols: [], words: [], lines: [] };
+  const block = { page, paragraphs: [], bbox: { x0: 200, y0: 100, x1: 300, y1: 140 } };
+  const paragraph = { page, block, lines: [] };
+  const line = { page, block, paragraph, text: 'Sign in\n', confidence: 93, words: [], bbox: block.bbox };
+
+  [['Sign', 200, 260], ['in', 270, 300]].forEach(([text, x0, x1]) => {
+    const word = { page, block, paragraph, line, text, confidence: 93, bbox: { x0, y0: 100, x1, y1: 140 }, choices: [], symbols: [] };
+    word.symbols = [...text].map(character => ({ page, block, paragraph, line, word, text: character, bbox: word.bbox }));
+    line.words.push(word);
+    page.words.push(word);
+    page.symbols.push(...word.symbols);
+  });
+
+  paragraph.lines.push(line);
+  block.paragraphs.push(paragraph);
+  page.lines.push(line);
+  page.blocks = [block];
+  page.paragraphs = [paragraph];
+  return page;
+}
+
+test('keys change with the content and with the settings', () => {
+  const image = Buffer.from('image');
+  const key = createCacheKey(image, { engine: '5.1.1', ocr: { psm: 6 } });
+  assert.strictEqual(key, createCacheKey(Buffer.from('image'), { engine: '5.1.1', ocr: { psm: 6 } }));
+  assert.notStrictEqual(key, createCacheKey(Buffer.from('other'), { engine: '5.1.1', ocr: { psm: 6 } }));
+  assert.notStrictEqual(key, createCacheKey(image, { engine: '5.1.2', ocr: { psm: 6 } }));
+  assert.notStrictEqual(key, createCacheKey(image, { engine: '5.1.1', ocr: { psm: 3 } }));
+});
+
+test('returns a fresh copy of a cached value on every hit', async () => {
+  const cache = createResultCache({ directory: null });
+  await cache.set('key', { text: 'Sign in', words: [{ text: 'Sign' }] });
+
+  const first = await cache.get('key');
+  first.words.length = 0;
+  assert.deepStrictEqual(await cache.get('key'), { text: 'Sign in', words: [{ text: 'Sign' }] });
+  assert.strictEqual(await cache.get('missing'), undefined);
+});
+
+test('drops the least recently used values over the memory limit', async () => {
+  const cache = createResultCache({ directory: null, memorySize: 60 });
+  await cache.set('a', 'x'.repeat(20));
+  await cache.set('b', 'y'.repeat(20));
+  await cache.get('a');
+  await cache.set('c', 'z'.repeat(20));
+
+  assert.strictEqual(await cache.get('b'), undefined);
+  assert.strictEqual(await cache.get('a'), 'x'.repeat(20));
+});
+
+test('shares values between caches through the disk, until they expire', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-ocr-cache-'));
+  t.after(() => fs.remove(directory));
+
+  await createResultCache({ directory }).set('key', { text: 'Sign in' });
+  assert.deepStrictEqual(await createResultCache({ directory }).get('key'), { text: 'Sign in' });
+
+  const expired = createResultCache({ directory, ttl: 1 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(await expired.get('key'), undefined);
+  assert.deepStrictEqual(await fs.readdir(directory), []);
+});
+
+test('clears only the files the cache writes', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-ocr-cache-'));
+  t.after(() => fs.remove(directory));
+
+  const key = createCacheKey(Buffer.from('image'), {});
+  const cache = createResultCache({ directory });
+  await cache.set(key, { text: 'Sign in' });
+  await fs.writeFile(path.join(directory, `${key}.json.123.0a1b2c3d.tmp`), '{');
+  await fs.writeJson(path.join(directory, 'settings.json'), {});
+
+  await cache.clear();
+  assert.deepStrictEqual(await fs.readdir(directory), ['settings.json']);
+});
+
+test('caches the words and positions of real-shaped Tesseract output', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'smart-ocr-cache-'));
+  t.after(() => fs.remove(directory));
+  configureCache({ directory });
+
+  let recognitions = 0;
+  const worker = {
+    setParameters: async () => {},
+    recognize: async () => {
+      recognitions++;
+      return { data: tesseractPage() };
+    }
+  };
+  const options = { workerPool: { size: 1, run: async (language, job) => job(worker) } };
+
+  const position = await findTextPosition(SCREENSHOT, 'Sign in', options);
+  assert.deepStrictEqual(await findTextPosition(SCREENSHOT, 'Sign in', options), position);
+  assert.deepStrictEqual([position.x, position.y, position.width, position.height], [200, 100, 100, 40]);
+  assert.strictEqual(recognitions, 1);
+
+  const [file] = await fs.readdir(directory);
+  const stored = await fs.readJson(path.join(directory, file));
+  assert.deepStrictEqual(Object.keys(stored), ['text', 'confidence', 'lines']);
+  assert.deepStrictEqual(Object.keys(stored.lines[0].words[0]), ['text', 'confidence', 'bbox']);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerOcrCommands } = require('../src/webdriverio');
+
+// A 1x1 PNG - the commands only need something that types as an image, recognition is mocked
+const SCREENSHOT = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+function ocrWord(text, x0, y0, x1, y1) {
+  return { text, confidence: 95, bbox: { x0, y0, x1, y1 } };
+}
+
+// Stands in for the Tesseract worker pool: every screenshot reads as "Sign in" and "Username",
+// positioned in screenshot (device) pixels
+function createMockWorkerPool() {
+  const words = [ocrWord('Sign', 200, 100, 260, 140), ocrWord('in', 270, 100, 300, 140)];
+  const field = [ocrWord('Username', 400, 300, 560, 340)];
+  const data = {
+    text: 'Sign in\nUsername',
+    lines: [{ text: 'Sign in', words }, { text: 'Username', words: field }],
+    words: [...words, ...field]
+  };
+  const worker = {
+    setParameters: async () => {},
+    recognize: async () => ({ data: JSON.parse(JSON.stringify(data)) })
+  };
+
+  return { size: 1, run: async (language, job) => job(worker) };
+}
+
+function createMockBrowser({ devicePixelRatio = 2, executeFails = false } = {}) {
+  const browser = {
+    commands: {},
+    actions: [],
+    typed: [],
+    addCommand(name, fn) {
+      this.commands[name] = fn;
+    },
+    execute: async () => {
+      if (executeFails) throw new Error('Scripts are not supported in this context');
+      return devicePixelRatio;
+    },
+    takeScreenshot: async () => SCREENSHOT,
+    performActions: async (actions) => {
+      browser.actions.push(...actions);
+    },
+    releaseActions: async () => {},
+    keys: async (value) => {
+      browser.typed.push(value);
+    }
+  };
+  return browser;
+}
+
+function register(browser, options = {}) {
+  return registerOcrCommands(browser, { workerPool: createMockWorkerPool(), cache: false, ...options });
+}
+
+function pointerMove(browser) {
+  return browser.actions[0].actions.find(action => action.type === 'pointerMove');
+}
+
+test('registers the ocr commands on the browser', () => {
+  const browser = createMockBrowser();
+  register(browser);
+  assert.deepStrictEqual(Object.keys(browser.commands).sort(), [
+    'ocrClickOnText', 'ocrGetElementPositionByText', 'ocrGetText', 'ocrSetValue', 'ocrWaitForTextDisplayed'
+  ]);
+});
+
+test('rejects objects that are not a WebdriverIO browser', () => {
+  assert.throws(() => registerOcrCommands({}), /needs a WebdriverIO browser object/);
+});
+
+test('scales positions from screenshot pixels to CSS pixels by the device pixel ratio', async () => {
+  const browser = createMockBrowser({ devicePixelRatio: 2 });
+  register(browser);
+
+  const position = await browser.commands.ocrGetElementPositionByText('Sign in');
+  assert.deepStrictEqual(
+    { x: position.x, y: position.y, width: position.width, height: position.height },
+    { x: 100, y: 50, width: 50, height: 20 }
+  );
+  assert.deepStrictEqual(position.words.map(word => [word.text, word.x, word.width]), [['Sign', 100, 30], ['in', 135, 15]]);
+});
+
+test('uses a ratio of 1 when the browser cannot run scripts', async () => {
+  const browser = createMockBrowser({ executeFails: true });
+  register(browser);
+
+  const position = await browser.commands.ocrGetElementPositionByText('Sign in');
+  assert.strictEqual(position.x, 200);
+  assert.strictEqual(position.width, 100);
+});
+
+test('clicks the centre of the text at the scaled point', async () => {
+  const browser = createMockBrowser({ devicePixelRatio: 2 });
+  register(browser);
+
+  const click = await browser.commands.ocrClickOnText('Sign in');
+  assert.deepStrictEqual({ x: click.x, y: click.y }, { x: 125, y: 60 });
+  assert.deepStrictEqual(pointerMove(browser), { type: 'pointerMove', duration: 0, origin: 'viewport', x: 125, y: 60 });
+  assert.deepStrictEqual(browser.actions[0].actions.slice(1).map(action => action.type), ['pointerDown', 'pointerUp']);
+});
+
+test('applies an offset to the click point in CSS pixels', async () => {
+  const browser = createMockBrowser({ devicePixelRatio: 2 });
+  register(browser, { offset: { x: 10, y: -5 } });
+
+  await browser.commands.ocrClickOnText('Sign in');
+  assert.deepStrictEqual([pointerMove(browser).x, pointerMove(browser).y], [135, 55]);
+});
+
+test('sets a value by clicking the field and typing', async () => {
+  const browser = createMockBrowser({ devicePixelRatio: 2 });
+  register(browser);
+
+  const result = await browser.commands.ocrSetValue('Username', 'john');
+  assert.deepStrictEqual(result.coordinates, { x: 240, y: 160 });
+  assert.deepStrictEqual([pointerMove(browser).x, pointerMove(browser).y], [240, 160]);
+  assert.deepStrictEqual(browser.typed, ['john']);
+});
+
+test('fails when the text is not on screen', async () => {
+  const browser = createMockBrowser();
+  register(browser);
+
+  await assert.rejects(browser.commands.ocrClickOnText('Checkout'), /Text "Checkout" not found on screen/);
+  assert.strictEqual(browser.actions.length, 0);
+});
+
+test('waits for text and returns its CSS-pixel position', async () => {
+  const browser = createMockBrowser({ devicePixelRatio: 2 });
+  register(browser);
+
+  const position = await browser.commands.ocrWaitForTextDisplayed('Username', { timeout: 500, interval: 10 });
+  assert.deepStrictEqual([position.x, position.y, position.width, position.height], [200, 150, 80, 20]);
+});
+
+test('times out with the attempts and the last text seen', async () => {
+  const browser = createMockBrowser();
+  register(browser);
+
+  await assert.rejects(
+    browser.commands.ocrWaitForTextDisplayed('Checkout', { timeout: 100, interval: 20 }),
+    (error) => {
+      assert.match(error.message, /^Timed out after \d+ms waiting for text "Checkout" to appear \(\d+ attempts?\)\. /);
+      assert.match(error.message, /Last OCR text: "Sign in Username"$/);
+      assert.ok(error.attempts >= 1);
+      return true;
+    }
+  );
+});
+
+test('reports text that disappears with reverse', async () => {
+  const browser = createMockBrowser();
+  register(browser);
+
+  const result = await browser.commands.ocrWaitForTextDisplayed('Loading', { reverse: true, timeout: 500, interval: 10 });
+  assert.strictEqual(result.disappeared, true);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runBatch, mapWithConcurrency } = require('../src/workerPool');
+
+function batchOf(items, options = {}) {
+  return runBatch({
+    prepare: async () => items,
+    processItem: async (input) => input * 2,
+    cancelItem: (input) => ({ input, cancelled: true }),
+    concurrency: 2,
+    ...options
+  });
+}
+
+test('mapWithConcurrency keeps results in input order', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 2, async (delay, index) => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return index;
+  });
+  assert.deepStrictEqual(results, [0, 1, 2]);
+});
+
+test('runBatch reports results and progress and ends with done', async () => {
+  const batch = batchOf([1, 2, 3]);
+  const results = [];
+  const progress = [];
+  batch.on('result', ({ result }) => results.push(result));
+  batch.on('progress', ({ completed, total, percent }) => progress.push([completed, total, percent]));
+  const done = new Promise(resolve => batch.on('done', resolve));
+
+  assert.deepStrictEqual(await done, [2, 4, 6]);
+  assert.deepStrictEqual(results.sort(), [2, 4, 6]);
+  assert.deepStrictEqual(progress[progress.length - 1], [3, 3, 100]);
+});
+
+test('runBatch can be iterated with for await', async () => {
+  const seen = [];
+  for await (const { index, result } of batchOf([5, 6])) {
+    seen[index] = result;
+  }
+  assert.deepStrictEqual(seen, [10, 12]);
+});
+
+test('runBatch emits error when the batch cannot start', async () => {
+  const batch = batchOf([], { prepare: async () => { throw new Error('EACCES: permission denied, scandir \'./scans\''); } });
+  const error = await new Promise(resolve => batch.on('error', resolve));
+
+  assert.match(error.message, /permission denied/);
+  await assert.rejects(batch.done, /permission denied/);
+});
+
+test('runBatch without an error listener only rejects done', async () => {
+  const batch = batchOf([], { prepare: async () => { throw new Error('unreadable'); } });
+  await assert.rejects(batch.done, /unreadable/);
+});
+
+test('runBatch gives cancelled results once the signal is aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const results = await batchOf([1, 2], { signal: controller.signal }).done;
+  assert.deepStrictEqual(results, [{ input: 1, cancelled: true }, { input: 2, cancelled: true }]);
+});